@@ -0,0 +1,28 @@
+// One-off migration removing Video.viewedBy, replaced by view events.
+//
+//   npm run migrate:views
+//
+// Counts in Video.views are kept. Safe to run more than once.
+import mongoose from "mongoose";
+import { DB_NAME } from "../src/constants.js";
+
+const migrate = async () => {
+    await mongoose.connect(`${process.env.MONGODB_URI}/${DB_NAME}`);
+
+    // raw collection, the model no longer knows viewedBy
+    const videos = mongoose.connection.collection("videos");
+
+    const { modifiedCount } = await videos.updateMany(
+        { viewedBy: { $exists: true } },
+        { $unset: { viewedBy: "" } }
+    );
+
+    console.log(`viewedBy removed from ${modifiedCount} videos`);
+}
+
+migrate()
+    .catch((err) => {
+        console.log("viewedBy migration failed", err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,29 @@
+// One-off migration for accounts created before email verification.
+//
+//   npm run migrate:email-verified
+//
+// Users without isEmailVerified are marked verified, so they are not locked out of uploading.
+// Accounts registered since have the flag stored and are left alone. Safe to run more than once.
+import mongoose from "mongoose";
+import { DB_NAME } from "../src/constants.js";
+
+const migrate = async () => {
+    await mongoose.connect(`${process.env.MONGODB_URI}/${DB_NAME}`);
+
+    // raw collection, the model would fill in the default of false
+    const users = mongoose.connection.collection("users");
+
+    const result = await users.updateMany(
+        { isEmailVerified: { $exists: false } },
+        { $set: { isEmailVerified: true } }
+    );
+
+    console.log(`${result.modifiedCount} existing users marked as verified`);
+}
+
+migrate()
+    .catch((err) => {
+        console.log("Email verification migration failed", err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,33 @@
+// One-off migration from the isPublished flag to video visibility.
+//
+//   npm run migrate:visibility
+//
+// Published videos become public, everything else private. Safe to run more than once.
+import mongoose from "mongoose";
+import { DB_NAME } from "../src/constants.js";
+
+const migrate = async () => {
+    await mongoose.connect(`${process.env.MONGODB_URI}/${DB_NAME}`);
+
+    // raw collection, the model no longer knows isPublished
+    const videos = mongoose.connection.collection("videos");
+
+    const published = await videos.updateMany(
+        { isPublished: true },
+        { $set: { visibility: "public" }, $unset: { isPublished: "" } }
+    );
+
+    const unpublished = await videos.updateMany(
+        { isPublished: { $ne: true }, visibility: { $exists: false } },
+        { $set: { visibility: "private" }, $unset: { isPublished: "" } }
+    );
+
+    console.log(`${published.modifiedCount} videos made public, ${unpublished.modifiedCount} made private`);
+}
+
+migrate()
+    .catch((err) => {
+        console.log("Visibility migration failed", err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
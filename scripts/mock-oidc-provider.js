@@ -0,0 +1,136 @@
+// Local OpenID Connect provider for trying social login offline.
+//
+//   npm run mock:oidc
+//
+// and run the backend with:
+//   OAUTH_PROVIDERS=mock
+//   OAUTH_MOCK_ISSUER=http://localhost:9000
+//   OAUTH_MOCK_CLIENT_ID=vidstream
+//   OAUTH_MOCK_CLIENT_SECRET=vidstream-secret
+//
+// /authorize signs in automatically; pass ?login_hint=<email> to pick which user logs in.
+import express from "express";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+const port = process.env.MOCK_OIDC_PORT || 9000;
+const issuer = process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`;
+const clientId = process.env.MOCK_OIDC_CLIENT_ID || "vidstream";
+const clientSecret = process.env.MOCK_OIDC_CLIENT_SECRET || "vidstream-secret";
+
+// 1x1 png used as profile picture
+const AVATAR_PNG = Buffer.from(
+    "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==",
+    "base64"
+);
+
+const authorizationCodes = new Map();
+const accessTokens = new Map();
+
+const buildProfile = (email) => {
+    const localPart = email.split("@")[0];
+
+    return {
+        sub: crypto.createHash("sha256").update(email).digest("hex").slice(0, 24),
+        email,
+        email_verified: true,
+        name: localPart.replace(/[._-]/g, " "),
+        preferred_username: localPart,
+        picture: `${issuer}/avatar.png`
+    };
+}
+
+const app = express();
+app.use(express.urlencoded({extended: true}));
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+    res.json({
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        userinfo_endpoint: `${issuer}/userinfo`,
+        response_types_supported: ["code"],
+        code_challenge_methods_supported: ["S256"],
+        scopes_supported: ["openid", "email", "profile"]
+    });
+})
+
+app.get("/authorize", (req, res) => {
+    const {client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint} = req.query;
+
+    if(client_id !== clientId || !redirect_uri){
+        return res.status(400).send("Unknown client or missing redirect_uri");
+    }
+
+    if(!code_challenge || code_challenge_method !== "S256"){
+        return res.status(400).send("PKCE with S256 is required");
+    }
+
+    const code = crypto.randomBytes(16).toString("hex");
+    authorizationCodes.set(code, {
+        redirectUri: redirect_uri,
+        codeChallenge: code_challenge,
+        nonce,
+        profile: buildProfile(login_hint || "mock.user@example.com"),
+        expiresAt: Date.now() + 60 * 1000
+    });
+
+    const redirectUrl = new URL(redirect_uri);
+    redirectUrl.searchParams.set("code", code);
+    if(state) redirectUrl.searchParams.set("state", state);
+
+    res.redirect(redirectUrl.toString());
+})
+
+app.post("/token", (req, res) => {
+    const {grant_type, code, redirect_uri, client_id, client_secret, code_verifier} = req.body;
+    const authorization = authorizationCodes.get(code);
+    authorizationCodes.delete(code);
+
+    if(grant_type !== "authorization_code" || !authorization || authorization.expiresAt < Date.now()){
+        return res.status(400).json({ error: "invalid_grant" });
+    }
+
+    if(client_id !== clientId || client_secret !== clientSecret){
+        return res.status(401).json({ error: "invalid_client" });
+    }
+
+    const challenge = crypto.createHash("sha256").update(code_verifier || "").digest("base64url");
+
+    if(redirect_uri !== authorization.redirectUri || challenge !== authorization.codeChallenge){
+        return res.status(400).json({ error: "invalid_grant", error_description: "PKCE verification failed" });
+    }
+
+    const accessToken = crypto.randomBytes(24).toString("hex");
+    accessTokens.set(accessToken, authorization.profile);
+
+    res.json({
+        access_token: accessToken,
+        token_type: "Bearer",
+        expires_in: 3600,
+        id_token: jwt.sign(
+            { ...authorization.profile, nonce: authorization.nonce },
+            clientSecret,
+            { issuer, audience: clientId, expiresIn: "1h" }
+        )
+    });
+})
+
+app.get("/userinfo", (req, res) => {
+    const token = req.header("Authorization")?.replace("Bearer ", "");
+    const profile = accessTokens.get(token);
+
+    if(!profile){
+        return res.status(401).json({ error: "invalid_token" });
+    }
+
+    res.json(profile);
+})
+
+app.get("/avatar.png", (req, res) => {
+    res.type("png").send(AVATAR_PNG);
+})
+
+app.listen(port, () => {
+    console.log(`Mock OIDC provider is running at ${issuer}`);
+})
\ No newline at end of file
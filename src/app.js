@@ -4,6 +4,11 @@ import cookieParser from "cookie-parser";
 
 const app = express();
 
+// behind a load balancer / reverse proxy req.ip must come from X-Forwarded-For (used by rate limits and sessions)
+if(process.env.TRUST_PROXY){
+    app.set("trust proxy", isNaN(process.env.TRUST_PROXY) ? process.env.TRUST_PROXY : Number(process.env.TRUST_PROXY));
+}
+
 app.use(cors({
     origin: process.env.CORS_ORIGIN,
     credentials: true
@@ -25,6 +30,10 @@ import dashboardRouter from "./routes/dashboard.routes.js";
 import subscriptionRouter from "./routes/subscription.routes.js";
 import homeFeedRouter from "./routes/home.routes.js";
 import healthcheckRouter from "./routes/healthcheck.routes.js";
+import adminRouter from "./routes/admin.routes.js";
+import uploadRouter from "./routes/upload.routes.js";
+import mediaRouter from "./routes/media.routes.js";
+import searchRouter from "./routes/search.routes.js";
 
 //routes declaration
 app.use("/api/v1/users", userRouter)
@@ -37,5 +46,9 @@ app.use("/api/v1/dashboard", dashboardRouter)
 app.use("/api/v1/subscriptions", subscriptionRouter)
 app.use("/api/v1/feed", homeFeedRouter)
 app.use("/api/v1/healthcheck", healthcheckRouter)
+app.use("/api/v1/admin", adminRouter)
+app.use("/api/v1/uploads", uploadRouter)
+app.use("/api/v1/search", searchRouter)
+app.use("/media", mediaRouter)
 
 export { app }
\ No newline at end of file
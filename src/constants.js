@@ -1 +1,117 @@
-export const DB_NAME = "vidstream_pro";
\ No newline at end of file
+export const DB_NAME = "vidstream_pro";
+
+export const USER_ROLES = ["user", "moderator", "admin"];
+
+// "<resource>:<action>:any" lets a role act on resources it does not own
+const MODERATOR_PERMISSIONS = [
+    "video:delete:any",
+    "comment:delete:any",
+    "tweet:delete:any"
+];
+
+const ADMIN_PERMISSIONS = [
+    ...MODERATOR_PERMISSIONS,
+    "video:update:any",
+    "user:read:any",
+    "user:manage"
+];
+
+export const ROLE_PERMISSIONS = {
+    user: [],
+    moderator: MODERATOR_PERMISSIONS,
+    admin: ADMIN_PERMISSIONS
+};
+
+export const PERMISSIONS = ADMIN_PERMISSIONS;
+
+// scopes a personal access token can be granted, "<resource>:read" covers GET requests
+export const API_TOKEN_SCOPES = [
+    "videos:read",
+    "videos:write",
+    "comments:read",
+    "comments:write",
+    "likes:read",
+    "likes:write",
+    "playlists:read",
+    "playlists:write",
+    "tweets:read",
+    "tweets:write",
+    "subscriptions:read",
+    "subscriptions:write",
+    "dashboard:read",
+    "feed:read",
+    "search:read",
+    "search:write",
+    "profile:read",
+    "profile:write"
+];
+
+export const API_TOKEN_PREFIX = "vsp_";
+
+// handles nobody can register or change to, they clash with routes or could impersonate staff
+export const RESERVED_USERNAMES = [
+    "admin",
+    "administrator",
+    "api",
+    "help",
+    "login",
+    "logout",
+    "me",
+    "moderator",
+    "null",
+    "official",
+    "register",
+    "root",
+    "settings",
+    "signup",
+    "staff",
+    "support",
+    "system",
+    "undefined",
+    "vidstream",
+    "vidstreampro"
+];
+// HLS/DASH ladder, renditions taller than the source are skipped. bitrates in kbit/s
+export const VIDEO_RENDITIONS = [
+    { name: "1080p", height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+    { name: "720p", height: 720, videoBitrate: 2800, audioBitrate: 128 },
+    { name: "480p", height: 480, videoBitrate: 1400, audioBitrate: 128 },
+    { name: "360p", height: 360, videoBitrate: 800, audioBitrate: 96 },
+    { name: "240p", height: 240, videoBitrate: 400, audioBitrate: 64 }
+];
+
+// sizes stored for every thumbnail, cropped to 16:9
+export const THUMBNAIL_VARIANTS = [
+    { name: "small", width: 320, height: 180 },
+    { name: "medium", width: 640, height: 360 },
+    { name: "large", width: 1280, height: 720 }
+];
+
+// fixed taxonomy, a video has at most one category
+export const VIDEO_CATEGORIES = [
+    { slug: "autos-vehicles", name: "Autos & Vehicles" },
+    { slug: "comedy", name: "Comedy" },
+    { slug: "education", name: "Education" },
+    { slug: "entertainment", name: "Entertainment" },
+    { slug: "film-animation", name: "Film & Animation" },
+    { slug: "gaming", name: "Gaming" },
+    { slug: "howto-style", name: "Howto & Style" },
+    { slug: "music", name: "Music" },
+    { slug: "news-politics", name: "News & Politics" },
+    { slug: "nonprofits-activism", name: "Nonprofits & Activism" },
+    { slug: "people-blogs", name: "People & Blogs" },
+    { slug: "pets-animals", name: "Pets & Animals" },
+    { slug: "science-technology", name: "Science & Technology" },
+    { slug: "sports", name: "Sports" },
+    { slug: "travel-events", name: "Travel & Events" }
+];
+
+// public: listed everywhere; unlisted: anyone with the link; private: owner and users in sharedWith
+export const VIDEO_VISIBILITIES = ["public", "unlisted", "private"];
+
+export const VIDEO_PROCESSING_STATUSES = ["pending", "processing", "ready", "failed"];
+
+// as reported by ffprobe, which detects them from the file content
+export const ALLOWED_VIDEO_CONTAINERS = ["mov", "mp4", "matroska", "webm", "avi", "mpegts", "flv", "ogg"];
+
+export const ALLOWED_VIDEO_CODECS = ["h264", "hevc", "vp8", "vp9", "av1", "mpeg4", "mpeg2video", "prores", "theora"];
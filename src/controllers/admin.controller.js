@@ -0,0 +1,135 @@
+import mongoose from "mongoose";
+import { User } from "../models/user.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { PERMISSIONS, USER_ROLES } from "../constants.js";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const getAllUsers = asyncHandler(async (req, res) => {
+    // get data from query
+    const {page = 1, limit = 10, query, role} = req.query;
+
+    const pageNumber = parseInt(page);
+    const limitNumber = parseInt(limit);
+
+    // filter by role and search by username, email or name
+    const match = {};
+
+    if(role){
+        if(!USER_ROLES.includes(role)){
+            throw new ApiError(400, "Invalid role");
+        }
+        match.role = role;
+    }
+
+    if(query?.trim()){
+        const pattern = new RegExp(escapeRegex(query.trim()), "i");
+        match.$or = [
+            { username: pattern },
+            { email: pattern },
+            { fullName: pattern }
+        ];
+    }
+
+    const aggregate = User.aggregate([
+        {
+            $match: match
+        },
+        {
+            $sort: {
+                createdAt: -1
+            }
+        },
+        {
+            $project: {
+                username: 1,
+                email: 1,
+                fullName: 1,
+                avatar: 1,
+                role: 1,
+                permissions: 1,
+                isEmailVerified: 1,
+                createdAt: 1
+            }
+        }
+    ]);
+
+    // pagination options
+    const options = {
+        page: pageNumber,
+        limit: limitNumber
+    }
+
+    const users = await User.aggregatePaginate(aggregate, options);
+
+    // return
+    return res.status(200).json(
+        new ApiResponse(200, users, "Users fetched successfully")
+    )
+})
+
+const updateUserRole = asyncHandler(async (req, res) => {
+    // get data (userId, role and extra permissions)
+    const {userId} = req.params;
+    const {role, permissions} = req.body;
+
+    // validate data
+    if(!mongoose.Types.ObjectId.isValid(userId)){
+        throw new ApiError(400, "Invalid user id");
+    }
+
+    if(!role && !permissions){
+        throw new ApiError(400, "Role or permissions are required");
+    }
+
+    if(role && !USER_ROLES.includes(role)){
+        throw new ApiError(400, `Role must be one of: ${USER_ROLES.join(", ")}`);
+    }
+
+    if(permissions && (!Array.isArray(permissions) || permissions.some((p) => !PERMISSIONS.includes(p)))){
+        throw new ApiError(400, "Invalid permissions");
+    }
+
+    // admins cannot change their own access, so there is always someone left to manage users
+    if(userId === req.user._id.toString()){
+        throw new ApiError(400, "You cannot change your own role or permissions");
+    }
+
+    // prepare update object
+    const updateFields = {};
+
+    if(role){
+        updateFields.role = role;
+    }
+
+    if(permissions){
+        updateFields.permissions = [...new Set(permissions)];
+    }
+
+    const user = await User.findByIdAndUpdate(
+        userId,
+        {
+            $set: updateFields
+        },
+        {
+            new: true,
+            runValidators: true
+        }
+    ).select("-password");
+
+    if(!user){
+        throw new ApiError(404, "User not found");
+    }
+
+    // return
+    return res.status(200).json(
+        new ApiResponse(200, user, "User role updated successfully")
+    )
+})
+
+export {
+    getAllUsers,
+    updateUserRole
+}
\ No newline at end of file
@@ -0,0 +1,126 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+import { ApiToken } from "../models/apiToken.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { hashToken } from "../utils/hashToken.js";
+import { API_TOKEN_PREFIX, API_TOKEN_SCOPES } from "../constants.js";
+
+const MAX_ACTIVE_TOKENS = 25;
+
+const createApiToken = asyncHandler(async (req, res) => {
+    // get data (name, scopes and optional expiry in days)
+    const {name, scopes, expiresInDays} = req.body;
+
+    // validate data
+    if(!name?.trim()){
+        throw new ApiError(400, "Token name is required");
+    }
+
+    if(!Array.isArray(scopes) || !scopes.length){
+        throw new ApiError(400, "At least one scope is required");
+    }
+
+    const invalidScopes = scopes.filter((scope) => !API_TOKEN_SCOPES.includes(scope));
+
+    if(invalidScopes.length){
+        throw new ApiError(400, `Invalid scopes: ${invalidScopes.join(", ")}`);
+    }
+
+    let expiresAt;
+
+    if(expiresInDays !== undefined && expiresInDays !== null){
+        const days = Number(expiresInDays);
+
+        if(!Number.isInteger(days) || days < 1 || days > 365){
+            throw new ApiError(400, "expiresInDays must be a whole number between 1 and 365");
+        }
+
+        expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const activeTokens = await ApiToken.countDocuments({
+        user: req.user._id,
+        revokedAt: null,
+        $or: [
+            { expiresAt: null },
+            { expiresAt: { $gt: new Date() } }
+        ]
+    });
+
+    if(activeTokens >= MAX_ACTIVE_TOKENS){
+        throw new ApiError(400, `You can have at most ${MAX_ACTIVE_TOKENS} active tokens`);
+    }
+
+    // create token, only its hash is stored
+    const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+
+    const apiToken = await ApiToken.create({
+        user: req.user._id,
+        name: name.trim(),
+        tokenHash: hashToken(token),
+        tokenPrefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+        scopes: [...new Set(scopes)],
+        expiresAt
+    });
+
+    const data = apiToken.toObject();
+    delete data.tokenHash;
+
+    // return
+    return res.status(201).json(
+        new ApiResponse(201, { ...data, token }, "API token created. Copy it now, it will not be shown again")
+    )
+})
+
+const getApiTokens = asyncHandler(async (req, res) => {
+    const apiTokens = await ApiToken.find({
+        user: req.user._id,
+        revokedAt: null
+    })
+    .sort({ createdAt: -1 });
+
+    // return
+    return res.status(200).json(
+        new ApiResponse(200, apiTokens, "API tokens fetched successfully")
+    )
+})
+
+const revokeApiToken = asyncHandler(async (req, res) => {
+    // get token id
+    const {tokenId} = req.params;
+
+    // validate token id
+    if(!mongoose.Types.ObjectId.isValid(tokenId)){
+        throw new ApiError(400, "Invalid token id");
+    }
+
+    const apiToken = await ApiToken.findOneAndUpdate(
+        {
+            _id: tokenId,
+            user: req.user._id,
+            revokedAt: null
+        },
+        {
+            $set: {
+                revokedAt: new Date()
+            }
+        }
+    );
+
+    if(!apiToken){
+        throw new ApiError(404, "API token not found");
+    }
+
+    // return
+    return res.status(200).json(
+        new ApiResponse(200, null, "API token revoked successfully")
+    )
+})
+
+export {
+    createApiToken,
+    getApiTokens,
+    revokeApiToken
+}
\ No newline at end of file
@@ -0,0 +1,257 @@
+import mongoose from "mongoose";
+import fs from "fs";
+import path from "path";
+import { Video } from "../models/video.model.js";
+import { Caption } from "../models/caption.model.js";
+import { deleteFile, getSignedFileUrl, uploadFile } from "../services/storageService.js";
+import { resolveFilePath } from "../services/diskStorageService.js";
+import { getCaptionText, parseCaptions, toWebVtt } from "../utils/captions.js";
+import { canViewVideo } from "../utils/videoAccess.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+const MAX_CAPTION_FILE_SIZE = 2 * 1024 * 1024;
+
+const MAX_CAPTION_TRACKS = 50;
+
+// "pt-br" -> "pt-BR", "zh-hant" -> "zh-Hant"; null when it is not a language tag
+const normalizeLanguage = (language) => {
+    if(typeof language !== "string" || !/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(language.trim())){
+        return null;
+    }
+
+    return language.trim().split("-").map((part, index) => {
+        if(index === 0) return part.toLowerCase();
+        if(/^[a-z]{2}$/i.test(part)) return part.toUpperCase();
+        if(/^[a-z]{4}$/i.test(part)) return part[0].toUpperCase() + part.slice(1).toLowerCase();
+        return part.toLowerCase();
+    }).join("-");
+}
+
+const findViewableVideo = async (videoId, user) => {
+    if(!mongoose.Types.ObjectId.isValid(videoId)){
+        throw new ApiError(400, "Invalid Video Id");
+    }
+
+    const video = await Video.findById(videoId).select("owner visibility sharedWith");
+
+    if(!video || !canViewVideo(video, user)){
+        throw new ApiError(404, "video not found");
+    }
+
+    return video;
+}
+
+const findCaption = async (videoId, language) => {
+    const caption = await Caption.findOne({ video: videoId, language: normalizeLanguage(language) });
+
+    if(!caption){
+        throw new ApiError(404, "Caption track not found");
+    }
+
+    return caption;
+}
+
+// reads an uploaded SRT or WebVTT file and stores it as WebVTT
+const storeCaptionFile = async (file, videoId, language) => {
+    if(file.size > MAX_CAPTION_FILE_SIZE){
+        throw new ApiError(413, `Caption file is too large, the limit is ${MAX_CAPTION_FILE_SIZE / 1024 / 1024} MB`);
+    }
+
+    const parsed = parseCaptions(await fs.promises.readFile(file.path, "utf8"));
+
+    const vttPath = `${file.path}.vtt`;
+    await fs.promises.writeFile(vttPath, toWebVtt(parsed));
+
+    // a new key per upload, so players and CDNs never serve a replaced track from cache
+    const stored = await uploadFile(vttPath, { key: `captions/${videoId}/${language}-${Date.now()}.vtt` });
+
+    if(!stored){
+        throw new ApiError(500, "Failed to upload caption file");
+    }
+
+    return {
+        file: {
+            url: stored.url,
+            public_id: stored.public_id,
+            provider: stored.provider
+        },
+        sourceFormat: parsed.format,
+        cueCount: parsed.cues.length,
+        text: getCaptionText(parsed)
+    };
+}
+
+// only one default track per video
+const clearDefaultTrack = async (videoId, exceptId) => {
+    await Caption.updateMany(
+        { video: videoId, isDefault: true, _id: { $ne: exceptId } },
+        { $set: { isDefault: false } }
+    );
+}
+
+const parseBoolean = (value) => value === true || value === "true";
+
+const getVideoCaptions = asyncHandler(async (req, res) => {
+    const {videoId} = req.params;
+
+    const video = await findViewableVideo(videoId, req.user);
+
+    const captions = await Caption.find({ video: video._id }).sort({ isDefault: -1, language: 1 });
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, captions, "Captions fetched successfully"));
+})
+
+const addCaption = asyncHandler(async (req, res) => {
+    // video loaded and authorized by requireOwnerOrPermission
+    const video = req.resource;
+
+    const {language, label, isDefault} = req.body || {};
+
+    try {
+        const normalizedLanguage = normalizeLanguage(language);
+
+        if(!normalizedLanguage){
+            throw new ApiError(400, "A valid language tag is required, e.g. en or pt-BR");
+        }
+
+        if(!req.file){
+            throw new ApiError(400, "Caption file is required");
+        }
+
+        if(await Caption.exists({ video: video._id, language: normalizedLanguage })){
+            throw new ApiError(409, "Video already has captions in this language");
+        }
+
+        if(await Caption.countDocuments({ video: video._id }) >= MAX_CAPTION_TRACKS){
+            throw new ApiError(400, `A video can have at most ${MAX_CAPTION_TRACKS} caption tracks`);
+        }
+
+        const stored = await storeCaptionFile(req.file, video._id, normalizedLanguage);
+
+        let caption;
+
+        try {
+            caption = await Caption.create({
+                video: video._id,
+                language: normalizedLanguage,
+                label: label?.trim() || normalizedLanguage,
+                isDefault: parseBoolean(isDefault),
+                ...stored
+            });
+        } catch (err) {
+            await deleteFile(stored.file, "raw");
+
+            // same language uploaded twice at once
+            if(err?.code === 11000){
+                throw new ApiError(409, "Video already has captions in this language");
+            }
+            throw err;
+        }
+
+        if(caption.isDefault){
+            await clearDefaultTrack(video._id, caption._id);
+        }
+
+        caption.text = undefined;
+
+        return res
+        .status(201)
+        .json(new ApiResponse(201, caption, "Caption added successfully"));
+    } finally {
+        if(req.file) await fs.promises.rm(req.file.path, { force: true });
+    }
+})
+
+const updateCaption = asyncHandler(async (req, res) => {
+    // video loaded and authorized by requireOwnerOrPermission
+    const video = req.resource;
+    const {language} = req.params;
+
+    const {label, isDefault} = req.body || {};
+
+    try {
+        if(!label && isDefault === undefined && !req.file){
+            throw new ApiError(400, "Atleast one detail is required to update");
+        }
+
+        const caption = await findCaption(video._id, language);
+
+        if(label?.trim()){
+            caption.label = label.trim();
+        }
+
+        if(isDefault !== undefined){
+            caption.isDefault = parseBoolean(isDefault);
+        }
+
+        // replace the track, the old file goes once the new one is saved
+        const previousFile = req.file && caption.file.toObject();
+
+        if(req.file){
+            Object.assign(caption, await storeCaptionFile(req.file, video._id, caption.language));
+        }
+
+        await caption.save();
+
+        if(previousFile){
+            await deleteFile(previousFile, "raw");
+        }
+
+        if(caption.isDefault){
+            await clearDefaultTrack(video._id, caption._id);
+        }
+
+        caption.text = undefined;
+
+        return res
+        .status(200)
+        .json(new ApiResponse(200, caption, "Caption updated successfully"));
+    } finally {
+        if(req.file) await fs.promises.rm(req.file.path, { force: true });
+    }
+})
+
+const deleteCaption = asyncHandler(async (req, res) => {
+    // video loaded and authorized by requireOwnerOrPermission
+    const video = req.resource;
+    const {language} = req.params;
+
+    const caption = await findCaption(video._id, language);
+
+    await deleteFile(caption.file, "raw");
+    await caption.deleteOne();
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Caption deleted successfully"));
+})
+
+// the WebVTT file itself, for <track> elements and players
+const getCaptionFile = asyncHandler(async (req, res) => {
+    const {videoId, language} = req.params;
+
+    const video = await findViewableVideo(videoId, req.user);
+    const caption = await findCaption(video._id, language);
+
+    if((caption.file.provider || "cloudinary") !== "local"){
+        return res.redirect(await getSignedFileUrl(caption.file, { resourceType: "raw" }));
+    }
+
+    res.set("Cache-Control", "private, no-cache");
+
+    return res.sendFile(path.resolve(resolveFilePath(caption.file.public_id)), {
+        headers: { "Content-Type": "text/vtt; charset=utf-8" }
+    });
+})
+
+export {
+    getVideoCaptions,
+    addCaption,
+    updateCaption,
+    deleteCaption,
+    getCaptionFile
+};
@@ -4,6 +4,7 @@ import { ApiError } from "../utils/ApiError.js";
 import { Video } from "../models/video.model.js";
 import { Comment } from "../models/comment.model.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
+import { canViewVideo } from "../utils/videoAccess.js";
 
 const getVideoComments = asyncHandler(async (req, res) => {
     // get data (video id and queries)
@@ -18,6 +19,13 @@ const getVideoComments = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Invalid video id");
     }
 
+    // check video exists and the user can watch it
+    const video = await Video.findById(videoId).select("owner visibility sharedWith");
+
+    if(!video || !canViewVideo(video, req.user)){
+        throw new ApiError(404, "Video not found");
+    }
+
     // aggregation piplines
     const aggregate = Comment.aggregate([
         // filter comments based on video
@@ -84,10 +92,10 @@ const addComment = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Please add comment");
     }
 
-    // check video exists or not
-    const video = await Video.findById(videoId).select("_id");
+    // check video exists and the user can watch it
+    const video = await Video.findById(videoId).select("owner visibility sharedWith");
 
-    if(!video){
+    if(!video || !canViewVideo(video, req.user)){
         throw new ApiError(404, "Video not found");
     }
 
@@ -160,8 +168,12 @@ const deleteComment = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Comment not found");
     }
 
-    // delete comment if user is either the comment owner OR the video owner
-    if (comment.owner.toString() !== req.user._id.toString() && comment.video.owner.toString() !== req.user._id.toString()) {
+    // delete comment if user is either the comment owner OR the video owner OR a moderator
+    if (
+        comment.owner.toString() !== req.user._id.toString() &&
+        comment.video?.owner?.toString() !== req.user._id.toString() &&
+        !req.user.hasPermission("comment:delete:any")
+    ) {
         throw new ApiError(403, "You are not allowed to delete comment");
     }
 
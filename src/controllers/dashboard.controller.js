@@ -1,6 +1,7 @@
 import { Like } from "../models/like.model.js";
 import { Subscription } from "../models/subscription.model.js";
 import { Video } from "../models/video.model.js";
+import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 
@@ -13,7 +14,7 @@ const getChannelStats = asyncHandler(async (req, res) => {
         {
             $match: {
                 owner: userId,
-                isPublished: true
+                visibility: { $ne: "private" }
             }
         },
         {
@@ -34,7 +35,7 @@ const getChannelStats = asyncHandler(async (req, res) => {
     const videoIdsPromise = Video.find(
         {
             owner: userId,
-            isPublished: true
+            visibility: { $ne: "private" }
         },
         { _id: 1 }
     ).lean();
@@ -69,18 +70,32 @@ const getChannelVideos = asyncHandler(async (req, res) => {
     // get loggedIn userId
     const userId = req.user._id;
 
-    // get pagination
-    const {page = 1, limit = 10} = req.query;
+    // get pagination and optional status filter (published, scheduled, draft) - published covers public and unlisted
+    const {page = 1, limit = 10, status} = req.query;
     
     const pageNumber = parseInt(page);
     const limitNumber = parseInt(limit);
 
+    const match = {
+        owner: userId
+    };
+
+    if(status === "published"){
+        match.visibility = { $ne: "private" };
+    } else if(status === "scheduled"){
+        match.visibility = "private";
+        match.publishAt = { $ne: null };
+    } else if(status === "draft"){
+        match.visibility = "private";
+        match.publishAt = null;
+    } else if(status){
+        throw new ApiError(400, "status must be published, scheduled or draft");
+    }
+
     // filter only required video data based on user id
     const paginate = Video.aggregate([
         {
-            $match: {
-                owner: userId
-            }
+            $match: match
         },
         {
             $project: {
@@ -88,7 +103,14 @@ const getChannelVideos = asyncHandler(async (req, res) => {
                 title: 1,
                 duration: 1,
                 views: 1,
-                isPublished: 1
+                visibility: 1,
+                tags: 1,
+                category: 1,
+                publishAt: 1,
+                publishedAt: 1,
+                isPremiere: 1,
+                "processing.status": 1,
+                createdAt: 1
             }
         },
         {
@@ -0,0 +1,115 @@
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import { DataExport } from "../models/dataExport.model.js";
+import { buildExportDownloadUrl, processDataExport } from "../services/dataExportService.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+const withDownloadUrl = (dataExport) => {
+    const data = dataExport.toObject();
+
+    if(dataExport.status === "ready" && dataExport.expiresAt > new Date()){
+        data.downloadUrl = buildExportDownloadUrl(dataExport);
+    }
+
+    return data;
+}
+
+const requestDataExport = asyncHandler(async (req, res) => {
+    // only one export at a time
+    const exportInProgress = await DataExport.exists({
+        user: req.user._id,
+        status: { $in: ["pending", "processing"] }
+    });
+
+    if(exportInProgress){
+        throw new ApiError(409, "Your data export is already being prepared");
+    }
+
+    const dataExport = await DataExport.create({
+        user: req.user._id
+    });
+
+    // build in the background, the data export job picks it up if this run is lost
+    setImmediate(() => {
+        processDataExport(dataExport._id)
+            .catch((err) => console.log("Error while processing data export: ", err));
+    });
+
+    // return
+    return res.status(202).json(
+        new ApiResponse(202, dataExport, "Data export requested. You will get an email when it is ready")
+    )
+})
+
+const getDataExports = asyncHandler(async (req, res) => {
+    const dataExports = await DataExport.find({
+        user: req.user._id
+    })
+    .sort({ createdAt: -1 })
+    .limit(10);
+
+    // return
+    return res.status(200).json(
+        new ApiResponse(200, dataExports.map(withDownloadUrl), "Data exports fetched successfully")
+    )
+})
+
+const getDataExportById = asyncHandler(async (req, res) => {
+    // get export id
+    const {exportId} = req.params;
+
+    // validate export id
+    if(!mongoose.Types.ObjectId.isValid(exportId)){
+        throw new ApiError(400, "Invalid export id");
+    }
+
+    const dataExport = await DataExport.findOne({
+        _id: exportId,
+        user: req.user._id
+    });
+
+    if(!dataExport){
+        throw new ApiError(404, "Data export not found");
+    }
+
+    // return
+    return res.status(200).json(
+        new ApiResponse(200, withDownloadUrl(dataExport), "Data export fetched successfully")
+    )
+})
+
+// the signed link is the authorization, so it can be opened directly in a browser
+const downloadDataExport = asyncHandler(async (req, res) => {
+    const {token} = req.params;
+
+    let decodedToken;
+
+    try {
+        decodedToken = jwt.verify(token, process.env.DATA_EXPORT_TOKEN_SECRET);
+    } catch (err) {
+        throw new ApiError(410, "Download link is invalid or has expired");
+    }
+
+    if(decodedToken?.purpose !== "data-export"){
+        throw new ApiError(410, "Download link is invalid or has expired");
+    }
+
+    const dataExport = await DataExport.findById(decodedToken.exportId).select("+filePath");
+
+    if(!dataExport || dataExport.status !== "ready" || dataExport.expiresAt <= new Date()){
+        throw new ApiError(410, "Download link is invalid or has expired");
+    }
+
+    const fileName = `vidstream-data-export-${dataExport.completedAt.toISOString().slice(0, 10)}.zip`;
+
+    return res.download(dataExport.filePath, fileName);
+})
+
+export {
+    requestDataExport,
+    getDataExports,
+    getDataExportById,
+    downloadDataExport
+}
\ No newline at end of file
@@ -3,6 +3,7 @@ import { User } from "../models/user.model.js";
 import { Video } from "../models/video.model.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import { escapeRegex } from "../utils/search.js";
 
 const getHomeFeed = asyncHandler(async (req, res) => {
     // get loggedIn user id
@@ -16,7 +17,7 @@ const getHomeFeed = asyncHandler(async (req, res) => {
     const trendingPromise = Video.aggregate([
         {
             $match: {
-                isPublished: true,
+                visibility: "public",
                 createdAt: {
                     $gte: last7days
                 }
@@ -56,7 +57,7 @@ const getHomeFeed = asyncHandler(async (req, res) => {
     const latestPromise = Video.aggregate([
         {
             $match: {
-                isPublished: true
+                visibility: "public"
             }
         },
         {
@@ -97,7 +98,7 @@ const getHomeFeed = asyncHandler(async (req, res) => {
         subscriptionsPromise = Video.aggregate([
             {
                 $match: {
-                    isPublished: true,
+                    visibility: "public",
                     owner: {
                         $in: channels
                     }
@@ -154,7 +155,7 @@ const getHomeFeed = asyncHandler(async (req, res) => {
         recommendationsPromise = Video.aggregate([
             {
                 $match: {
-                    isPublished: true,
+                    visibility: "public",
 
                     // own videos remove
                     owner: { 
@@ -173,7 +174,7 @@ const getHomeFeed = asyncHandler(async (req, res) => {
                             : []),
 
                         ...(lastWatchedTitle
-                            ? [{ title: { $regex: lastWatchedTitle, $options: "i" } }]
+                            ? [{ title: { $regex: escapeRegex(lastWatchedTitle), $options: "i" } }]
                             : [])
                     ]
                 }
@@ -6,6 +6,7 @@ import { Like } from "../models/like.model.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { Comment } from "../models/comment.model.js";
 import { Tweet } from "../models/tweet.model.js";
+import { canViewVideo } from "../utils/videoAccess.js";
 
 const toggleVideoLike = asyncHandler(async (req, res) => {
     // get video id
@@ -16,10 +17,10 @@ const toggleVideoLike = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Invalid video id");
     }
 
-    // find video
-    const video = await Video.findById(videoId).select("_id");
+    // find video the user can watch
+    const video = await Video.findById(videoId).select("owner visibility sharedWith");
 
-    if(!video){
+    if(!video || !canViewVideo(video, req.user)){
         throw new ApiError(404, "Video not found");
     }
 
@@ -221,9 +222,13 @@ const getLikedVideos = asyncHandler(async (req, res) => {
             $unwind: "$video"
         },
         {
-            // filter only published videos
+            // filter only videos the user can still watch
             $match: {
-                "video.isPublished": true
+                $or: [
+                    { "video.visibility": { $in: ["public", "unlisted"] } },
+                    { "video.owner": new mongoose.Types.ObjectId(req.user._id) },
+                    { "video.sharedWith": new mongoose.Types.ObjectId(req.user._id) }
+                ]
             }
         },
         {
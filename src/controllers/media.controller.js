@@ -0,0 +1,114 @@
+import path from "path";
+import jwt from "jsonwebtoken";
+import { resolveFilePath } from "../services/diskStorageService.js";
+import { verifyJWT } from "../middleware/auth.middleware.js";
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { canViewVideo } from "../utils/videoAccess.js";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+// signed links from the local storage provider
+const getSignedMedia = asyncHandler(async (req, res) => {
+    const {token} = req.params;
+
+    let decodedToken;
+
+    try {
+        decodedToken = jwt.verify(token, process.env.STORAGE_SIGNING_SECRET);
+    } catch (err) {
+        throw new ApiError(410, "Media link is invalid or has expired");
+    }
+
+    if(decodedToken?.purpose !== "media" || !decodedToken.publicId){
+        throw new ApiError(410, "Media link is invalid or has expired");
+    }
+
+    let filePath;
+
+    try {
+        filePath = path.resolve(resolveFilePath(decodedToken.publicId));
+    } catch (err) {
+        throw new ApiError(410, "Media link is invalid or has expired");
+    }
+
+    return res.sendFile(filePath);
+})
+
+// profile images are public, see user.controller
+const PUBLIC_MEDIA_PATH = /^(?:avatars|covers)\//;
+
+// video files, streaming output, thumbnail candidates and captions live under the video id,
+// see transcodeService and caption.controller
+const VIDEO_MEDIA_PATH = /^(?:videos|captions)\/([0-9a-f]{24})\//;
+
+// files stored before keys were used have random names, they are found through the document holding them
+const isLegacyProfileImage = (mediaPath) => User.exists({
+    $or: [
+        { "avatar.public_id": mediaPath },
+        { "coverImage.public_id": mediaPath }
+    ]
+});
+
+const findMediaVideo = (mediaPath) => {
+    const videoId = VIDEO_MEDIA_PATH.exec(mediaPath)?.[1];
+
+    if(videoId){
+        return Video.findById(videoId).select("owner visibility sharedWith");
+    }
+
+    return Video.findOne({
+        $or: [
+            { "videoFile.public_id": mediaPath },
+            { "thumbnail.public_id": mediaPath },
+            { "thumbnail.variants.public_id": mediaPath },
+            { "thumbnailCandidates.public_id": mediaPath },
+            { "thumbnailCandidates.variants.public_id": mediaPath }
+        ]
+    }).select("owner visibility sharedWith");
+}
+
+// only files something known owns are served: profile images to anyone, files of videos that are not
+// public or unlisted to users who may view the video
+const authorizeLocalMedia = asyncHandler(async (req, res, next) => {
+    req.mediaPath = [].concat(req.params.path).join("/");
+
+    if(PUBLIC_MEDIA_PATH.test(req.mediaPath)) return next();
+
+    const video = await findMediaVideo(req.mediaPath);
+
+    if(!video){
+        if(!VIDEO_MEDIA_PATH.test(req.mediaPath) && await isLegacyProfileImage(req.mediaPath)){
+            return next();
+        }
+
+        throw new ApiError(404, "Media not found");
+    }
+
+    if(video.visibility === "public" || video.visibility === "unlisted"){
+        return next();
+    }
+
+    res.set("Cache-Control", "private, no-cache");
+
+    verifyJWT(req, res, (err) => {
+        if(err) return next(err);
+        if(!canViewVideo(video, req.user)) return next(new ApiError(404, "Media not found"));
+        next();
+    });
+})
+
+// files from the local storage provider, by public id
+const getLocalMedia = asyncHandler(async (req, res) => {
+    let filePath;
+
+    try {
+        filePath = path.resolve(resolveFilePath(req.mediaPath));
+    } catch (err) {
+        throw new ApiError(404, "Media not found");
+    }
+
+    return res.sendFile(filePath);
+})
+
+export { getSignedMedia, authorizeLocalMedia, getLocalMedia };
@@ -73,18 +73,35 @@ const getUserPlaylists = asyncHandler(async (req, res) => {
                 totalVideos: { $size: "$videos" }
             }
         },
-        // lookup the first video from "videos" collection, to get thumnail for playlist 
+        // lookup the first video the user can watch from "videos" collection, to get thumnail for playlist 
         {
             $lookup: {
                 from: "videos",
-                let: { firstVideoId: { $arrayElemAt: ["$videos", 0] } },
+                let: { videoIds: "$videos" },
                 pipeline: [
-                    // match the video whose id equals firstVideoId
+                    // match the playlist's videos, videos made private since they were added are skipped
                     {
                         $match: {
-                            $expr: { $eq: ["$_id", "$$firstVideoId"] }
+                            $expr: { $in: ["$_id", "$$videoIds"] },
+                            $or: [
+                                { visibility: { $in: ["public", "unlisted"] } },
+                                { owner: new mongoose.Types.ObjectId(req.user._id) },
+                                { sharedWith: new mongoose.Types.ObjectId(req.user._id) }
+                            ]
                         }
                     },
+                    // keep playlist order, the earliest one is the preview
+                    {
+                        $addFields: {
+                            position: { $indexOfArray: ["$$videoIds", "$_id"] }
+                        }
+                    },
+                    {
+                        $sort: { position: 1 }
+                    },
+                    {
+                        $limit: 1
+                    },
                     // Only select thumbnail field (avoid heavy data)
                     {
                         $project: {
@@ -146,7 +163,18 @@ const getPlaylistById = asyncHandler(async (req, res) => {
     // TODO: In future, implement pagination for videos array to handle large playlists efficiently
     const playlist = await Playlist.findById(playlistId)
         .populate("owner", "username fullName avatar")
-        .populate("videos", "title thumbnail duration views owner");
+        .populate({
+            path: "videos",
+            select: "title thumbnail duration views owner",
+            // videos made private since they were added are only listed for those who can watch them
+            match: {
+                $or: [
+                    { visibility: { $in: ["public", "unlisted"] } },
+                    { owner: req.user._id },
+                    { sharedWith: req.user._id }
+                ]
+            }
+        });
 
     // check exists or not
     if(!playlist){
@@ -187,8 +215,8 @@ const addVideoToPlaylist = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Video not found");
     }
 
-    if(!video.isPublished){
-        throw new ApiError(400, "Cannot add unpublished video");
+    if(video.visibility === "private"){
+        throw new ApiError(400, "Cannot add a private video");
     }
 
     // check video is already present or not
@@ -0,0 +1,176 @@
+import mongoose from "mongoose";
+import { SearchHistory } from "../models/searchHistory.model.js";
+import { User } from "../models/user.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import {
+    DURATION_BUCKETS,
+    UPLOAD_DATE_WINDOWS,
+    searchChannels,
+    searchPlaylists,
+    searchVideos
+} from "../services/searchService.js";
+import { getSearchSuggestions, recordSearch } from "../services/searchHistoryService.js";
+
+const MAX_QUERY_LENGTH = 200;
+
+const SEARCH_TYPES = {
+    video: searchVideos,
+    channel: searchChannels,
+    playlist: searchPlaylists
+};
+
+const SORT_OPTIONS = ["relevance", "date", "views"];
+
+const checkOption = (name, value, options) => {
+    if(value !== undefined && !options.includes(value)){
+        throw new ApiError(400, `${name} must be one of ${options.join(", ")}`);
+    }
+}
+
+const search = asyncHandler(async (req, res) => {
+    // get data from query
+    const {q, type = "video", uploadDate, duration, sortBy, page = 1, limit = 10} = req.query;
+
+    const query = typeof q === "string" ? q.trim() : "";
+
+    if(!query){
+        throw new ApiError(400, "Search query is required");
+    }
+
+    if(query.length > MAX_QUERY_LENGTH){
+        throw new ApiError(400, `Search query can be at most ${MAX_QUERY_LENGTH} characters`);
+    }
+
+    checkOption("type", type, Object.keys(SEARCH_TYPES));
+    checkOption("uploadDate", uploadDate, Object.keys(UPLOAD_DATE_WINDOWS));
+    checkOption("duration", duration, Object.keys(DURATION_BUCKETS));
+    checkOption("sortBy", sortBy, SORT_OPTIONS);
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    const results = await SEARCH_TYPES[type](query, {
+        uploadDate,
+        duration,
+        sortBy,
+        page: pageNumber,
+        limit: Math.min(Math.max(parseInt(limit) || 10, 1), 50)
+    });
+
+    // further pages of the same search are not searches of their own
+    if(pageNumber === 1){
+        recordSearch(req.user, query)
+            .catch((err) => console.log("Error while recording search: ", err));
+    }
+
+    // return response
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { ...results, query, type }, "Search results fetched successfully"))
+})
+
+const getSuggestions = asyncHandler(async (req, res) => {
+    const {q, limit = 10} = req.query;
+
+    const prefix = typeof q === "string" ? q : "";
+
+    if(!prefix.trim()){
+        throw new ApiError(400, "Search query is required");
+    }
+
+    if(prefix.length > MAX_QUERY_LENGTH){
+        throw new ApiError(400, `Search query can be at most ${MAX_QUERY_LENGTH} characters`);
+    }
+
+    const suggestions = await getSearchSuggestions(
+        req.user,
+        prefix,
+        Math.min(Math.max(parseInt(limit) || 10, 1), 20)
+    );
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, suggestions, "Suggestions fetched successfully"))
+})
+
+const getSearchHistory = asyncHandler(async (req, res) => {
+    const {page = 1, limit = 20} = req.query;
+
+    const aggregate = SearchHistory.aggregate([
+        {
+            $match: {
+                user: req.user._id
+            }
+        },
+        {
+            $sort: {
+                searchedAt: -1
+            }
+        },
+        {
+            $project: {
+                query: 1,
+                searchedAt: 1
+            }
+        }
+    ]);
+
+    const history = await SearchHistory.aggregatePaginate(aggregate, {
+        page: Math.max(parseInt(page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit) || 20, 1), 100)
+    });
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { ...history, paused: Boolean(req.user.searchHistoryPaused) }, "Search history fetched successfully"))
+})
+
+const deleteSearchHistoryEntry = asyncHandler(async (req, res) => {
+    const {entryId} = req.params;
+
+    if(!mongoose.Types.ObjectId.isValid(entryId)){
+        throw new ApiError(400, "Invalid search history entry id");
+    }
+
+    const entry = await SearchHistory.findOneAndDelete({ _id: entryId, user: req.user._id });
+
+    if(!entry){
+        throw new ApiError(404, "Search history entry not found");
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Search history entry deleted successfully"))
+})
+
+const clearSearchHistory = asyncHandler(async (req, res) => {
+    const { deletedCount } = await SearchHistory.deleteMany({ user: req.user._id });
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { deletedCount }, "Search history cleared successfully"))
+})
+
+const updateSearchHistoryPause = asyncHandler(async (req, res) => {
+    const {paused} = req.body || {};
+
+    if(typeof paused !== "boolean"){
+        throw new ApiError(400, "paused must be true or false");
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $set: { searchHistoryPaused: paused } });
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { paused }, paused ? "Search history paused" : "Search history resumed"))
+})
+
+export {
+    search,
+    getSuggestions,
+    getSearchHistory,
+    deleteSearchHistoryEntry,
+    clearSearchHistory,
+    updateSearchHistoryPause
+};
@@ -105,25 +105,8 @@ const updateTweet = asyncHandler(async (req, res) => {
 })
 
 const deleteTweet =  asyncHandler(async (req, res) => {
-    // get tweetId
-    const {tweetId} = req.params;
-
-    // validate tweetId
-    if(!mongoose.Types.ObjectId.isValid(tweetId)){
-        throw new ApiError(400, "Invalid tweet id");
-    }
-
-    // check tweet exists and authorization to delete
-    const tweet = await Tweet.findOneAndDelete(
-        {
-            _id: tweetId,
-            owner: req.user._id
-        },
-    )
-
-    if(!tweet){
-        throw new ApiError(404, "Tweet not found or you are not allowed to delete tweet");
-    }
+    // tweet loaded and authorized by requireOwnerOrPermission
+    await Tweet.findByIdAndDelete(req.resource._id);
 
     // return
     return res.status(200).json(
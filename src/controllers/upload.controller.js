@@ -0,0 +1,292 @@
+import mongoose from "mongoose";
+import fs from "fs";
+import { Upload } from "../models/upload.model.js";
+import { Video } from "../models/video.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import {
+    assembleChunks,
+    commitChunk,
+    getMaxChunkSize,
+    getUploadExpiresAt,
+    parseChecksumHeader,
+    receiveChunk,
+    removeUploadFiles
+} from "../services/resumableUploadService.js";
+import { deleteThumbnail, storeThumbnail } from "../services/thumbnailService.js";
+import { getMaxVideoSize, validateVideoFile } from "../services/mediaValidationService.js";
+import { applyPublishSchedule } from "../utils/publishSchedule.js";
+import { parseChaptersFromDescription } from "../utils/chapters.js";
+import { applyTagsAndCategory } from "../utils/tags.js";
+import { processPendingVideos, removeTranscodeFiles, stageSourceFile } from "../services/transcodeService.js";
+
+const findOwnUpload = async (req) => {
+    const {uploadId} = req.params;
+
+    if(!mongoose.Types.ObjectId.isValid(uploadId)){
+        throw new ApiError(400, "Invalid Upload Id");
+    }
+
+    const upload = await Upload.findOne({ _id: uploadId, owner: req.user._id });
+
+    if(!upload || (upload.status !== "finalized" && upload.expiresAt <= new Date())){
+        throw new ApiError(404, "Upload not found");
+    }
+
+    return upload;
+}
+
+const progressHeaders = (upload) => ({
+    "Upload-Offset": String(upload.offset),
+    "Upload-Length": String(upload.size),
+    "Upload-Expires": upload.expiresAt.toUTCString()
+});
+
+const createUpload = asyncHandler(async (req, res) => {
+    const {fileName, size, mimeType, title, description} = req.body;
+
+    if(!fileName?.trim()){
+        throw new ApiError(400, "fileName is required");
+    }
+
+    if(!Number.isInteger(size) || size <= 0){
+        throw new ApiError(400, "size must be the file length in bytes");
+    }
+
+    if(size > getMaxVideoSize()){
+        throw new ApiError(413, `Videos can be at most ${getMaxVideoSize()} bytes`);
+    }
+
+    if(mimeType && !mimeType.startsWith("video/")){
+        throw new ApiError(400, "Only video files can be uploaded");
+    }
+
+    const upload = await Upload.create({
+        owner: req.user._id,
+        fileName: fileName.trim(),
+        mimeType,
+        size,
+        title: title?.trim(),
+        description: description?.trim(),
+        expiresAt: getUploadExpiresAt()
+    });
+
+    return res
+    .status(201)
+    .set({
+        Location: `${req.baseUrl}/${upload._id}`,
+        ...progressHeaders(upload)
+    })
+    .json(new ApiResponse(201, upload, "Upload created successfully"))
+})
+
+// HEAD returns the same headers without a body, clients use it to find where to resume
+const getUploadStatus = asyncHandler(async (req, res) => {
+    const upload = await findOwnUpload(req);
+
+    return res
+    .status(200)
+    .set({
+        ...progressHeaders(upload),
+        "Cache-Control": "no-store"
+    })
+    .json(new ApiResponse(200, upload, "Upload fetched successfully"))
+})
+
+const uploadChunk = asyncHandler(async (req, res) => {
+    const upload = await findOwnUpload(req);
+
+    if(upload.status !== "uploading"){
+        throw new ApiError(409, "All bytes of this upload were already received");
+    }
+
+    if(!req.is("application/offset+octet-stream")){
+        throw new ApiError(415, "Chunks must be sent as application/offset+octet-stream");
+    }
+
+    const offset = Number(req.get("Upload-Offset"));
+
+    if(!Number.isInteger(offset)){
+        throw new ApiError(400, "Upload-Offset header is required");
+    }
+
+    if(offset !== upload.offset){
+        throw new ApiError(409, `Upload-Offset does not match, resume at ${upload.offset}`, [], "", progressHeaders(upload));
+    }
+
+    const checksum = parseChecksumHeader(req.get("Upload-Checksum"));
+
+    if(!checksum){
+        throw new ApiError(400, "Upload-Checksum header is required, e.g. \"sha256 <base64 digest>\"");
+    }
+
+    const { chunkPath, length, digest } = await receiveChunk(req, upload._id, {
+        offset,
+        maxLength: Math.min(getMaxChunkSize(), upload.size - offset),
+        algorithm: checksum.algorithm
+    });
+
+    if(digest !== checksum.digest){
+        await fs.promises.rm(chunkPath, { force: true });
+        throw new ApiError(460, "Checksum mismatch, the chunk was discarded", [], "", progressHeaders(upload));
+    }
+
+    if(!length){
+        await fs.promises.rm(chunkPath, { force: true });
+        throw new ApiError(400, "Chunk is empty");
+    }
+
+    // claim the byte range, a concurrent request for the same offset loses here
+    const newOffset = offset + length;
+    const updatedUpload = await Upload.findOneAndUpdate(
+        { _id: upload._id, offset, status: "uploading" },
+        {
+            $set: {
+                offset: newOffset,
+                status: newOffset === upload.size ? "completed" : "uploading",
+                expiresAt: getUploadExpiresAt()
+            }
+        },
+        { new: true }
+    );
+
+    if(!updatedUpload){
+        await fs.promises.rm(chunkPath, { force: true });
+        throw new ApiError(409, "Upload offset changed while receiving the chunk, check it with HEAD and resume");
+    }
+
+    await commitChunk(upload._id, offset, chunkPath);
+
+    return res
+    .status(200)
+    .set(progressHeaders(updatedUpload))
+    .json(new ApiResponse(200, updatedUpload, "Chunk uploaded successfully"))
+})
+
+// turns a completed upload into an unpublished video
+const finalizeUpload = asyncHandler(async (req, res) => {
+    try {
+        const upload = await findOwnUpload(req);
+
+        if(upload.status === "uploading"){
+            throw new ApiError(409, `Upload is not complete, ${upload.offset} of ${upload.size} bytes received`);
+        }
+
+        if(upload.status !== "completed"){
+            throw new ApiError(409, "Upload was already finalized");
+        }
+
+        // optional publishAt / isPremiere, tags and category
+        const schedule = applyPublishSchedule({}, req.body);
+        const labels = applyTagsAndCategory({}, req.body);
+
+        const title = req.body?.title?.trim() || upload.title;
+        const description = req.body?.description?.trim() || upload.description;
+
+        if(!title || !description){
+            throw new ApiError(400, "title or description is missing");
+        }
+
+        // optional, without one the first extracted frame is used
+        const thumbnailLocalPath = req.file?.path;
+
+        // claim it so a retried request does not create a second video
+        const claimedUpload = await Upload.findOneAndUpdate(
+            { _id: upload._id, status: "completed" },
+            { $set: { status: "finalizing" } },
+            { new: true }
+        );
+
+        if(!claimedUpload){
+            throw new ApiError(409, "Upload is already being finalized");
+        }
+
+        const videoId = new mongoose.Types.ObjectId();
+        let thumbnail;
+
+        try {
+            const videoLocalPath = await assembleChunks(claimedUpload);
+            const { duration, metadata } = await validateVideoFile(videoLocalPath);
+
+            if(thumbnailLocalPath){
+                thumbnail = await storeThumbnail(thumbnailLocalPath);
+            }
+
+            // the transcode job stores the video once it is encoded
+            const sourcePath = await stageSourceFile(videoLocalPath, videoId);
+
+            await Video.create({
+                _id: videoId,
+                title,
+                description,
+                duration,
+                chapters: parseChaptersFromDescription(description, duration),
+                metadata,
+                thumbnail,
+                owner: req.user._id,
+                visibility: "private",
+                ...schedule,
+                ...labels,
+                processing: {
+                    status: "pending",
+                    sourcePath
+                }
+            })
+
+            claimedUpload.status = "finalized";
+            claimedUpload.video = videoId;
+            await claimedUpload.save();
+
+            await removeUploadFiles(claimedUpload._id);
+        } catch (err) {
+            await deleteThumbnail(thumbnail);
+            await removeTranscodeFiles(videoId);
+
+            // the chunks are still there, finalize can be retried
+            await Upload.updateOne(
+                { _id: claimedUpload._id, status: "finalizing" },
+                { $set: { status: "completed", expiresAt: getUploadExpiresAt() } }
+            );
+
+            throw err;
+        }
+
+        setImmediate(() => {
+            processPendingVideos()
+                .catch((err) => console.log("Error while processing videos: ", err));
+        });
+
+        const video = await Video.findById(videoId);
+
+        return res
+        .status(202)
+        .json(new ApiResponse(202, video, "Upload finalized, the video is being processed and saved as a draft"))
+    } finally {
+        // errors thrown before storeThumbnail takes the file would leave it in public/temp
+        if(req.file) await fs.promises.rm(req.file.path, { force: true });
+    }
+})
+
+const abortUpload = asyncHandler(async (req, res) => {
+    const upload = await findOwnUpload(req);
+
+    if(upload.status === "finalizing"){
+        throw new ApiError(409, "Upload is being finalized");
+    }
+
+    await removeUploadFiles(upload._id);
+    await Upload.findByIdAndDelete(upload._id);
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Upload cancelled successfully"))
+})
+
+export {
+    createUpload,
+    getUploadStatus,
+    uploadChunk,
+    finalizeUpload,
+    abortUpload
+};
\ No newline at end of file
@@ -1,19 +1,53 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError} from "../utils/ApiError.js";
 import { User }  from "../models/user.model.js";
-import { deleteOnCloudinary, uploadOnCloudinary } from "../services/cloudinaryService.js";
+import { Session } from "../models/session.model.js";
+import { WatchProgress } from "../models/watchProgress.model.js";
+import { deleteFile, uploadFile } from "../services/storageService.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
+import { sendPasswordResetEmail, sendVerificationEmail } from "../services/mailService.js";
+import { hashToken } from "../utils/hashToken.js";
+import { getDeviceInfo } from "../utils/deviceInfo.js";
+import { tooManyRequests } from "../middleware/rateLimit.middleware.js";
+import { getUsernameError, normalizeUsername } from "../utils/username.js";
+import { buildOtpAuthUri, generateTotpSecret } from "../utils/totp.js";
+import {
+    buildAuthorizationUrl,
+    createAuthorizationRequest,
+    downloadToTemp,
+    exchangeAuthorizationCode,
+    fetchUserProfile,
+    getEnabledProviders,
+    getProviderConfig
+} from "../services/oauthService.js";
 import jwt from "jsonwebtoken";
 import mongoose from "mongoose";
+import crypto from "crypto";
+import path from "path";
 
-const generateAccessAndRefreshTokens = async (userId) => {
+// profile images are stored under a public prefix, the media routes serve them to anyone
+const uploadProfileImage = (localFilePath, folder) => uploadFile(localFilePath, localFilePath && {
+    key: `${folder}/${crypto.randomUUID()}${path.extname(localFilePath).toLowerCase()}`,
+    resourceType: "image"
+});
+
+// starts a new session for a login, or rotates the refresh token of an existing one
+const generateAccessAndRefreshTokens = async (userId, req, session) => {
     try{
         const user = await User.findById(userId);
-        const accessToken = user.generateAccessToken();
-        const refreshToken = user.generateRefreshToken();
 
-        user.refreshToken = refreshToken;
-        await user.save({ validateBeforeSave: false });
+        if(!session){
+            session = new Session({ user: user._id });
+        }
+
+        const accessToken = user.generateAccessToken(session._id);
+        const refreshToken = user.generateRefreshToken(session._id);
+
+        Object.assign(session, getDeviceInfo(req));
+        session.refreshTokenHash = hashToken(refreshToken);
+        session.expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+        session.lastUsedAt = new Date();
+        await session.save();
 
         return { accessToken, refreshToken };
 
@@ -22,6 +56,29 @@ const generateAccessAndRefreshTokens = async (userId) => {
     }
 }
 
+const revokeUserSessions = async (userId, reason, exceptSessionId) => {
+    await Session.updateMany(
+        {
+            user: userId,
+            revokedAt: null,
+            ...(exceptSessionId ? { _id: { $ne: exceptSessionId } } : {})
+        },
+        {
+            $set: {
+                revokedAt: new Date(),
+                revokedReason: reason
+            }
+        }
+    )
+}
+
+const sendEmailVerificationLink = async (user) => {
+    const verificationToken = user.generateEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    await sendVerificationEmail(user, verificationToken);
+}
+
 const registerUser = asyncHandler( async (req, res) => {
     // get user details from frontend
     const {fullName, email, username, password} = req.body;
@@ -33,12 +90,18 @@ const registerUser = asyncHandler( async (req, res) => {
         throw new ApiError(400, "All fields are required");
     }
 
+    const usernameError = getUsernameError(normalizeUsername(username));
+
+    if(usernameError){
+        throw new ApiError(400, usernameError);
+    }
+
     // check if user already exists
     const existedUser = await User.findOne({
-        $or: [{username}, {email}]
+        email: email?.trim().toLowerCase()
     })
 
-    if(existedUser){
+    if(existedUser || await User.isUsernameTaken(normalizeUsername(username))){
         throw new ApiError(409, "User with email or username already exists");
     }
 
@@ -55,10 +118,10 @@ const registerUser = asyncHandler( async (req, res) => {
         throw new ApiError(400, "Avatar image is required");
     }
 
-    // upload them to cloudinary, avatar
-    const avatar = await uploadOnCloudinary(avatarLocalPath);
+    // upload them to storage, avatar
+    const avatar = await uploadProfileImage(avatarLocalPath, "avatars");
 
-    // const coverImage = await uploadOnCloudinary(coverImageLocalPath);
+    // const coverImage = await uploadFile(coverImageLocalPath);
     if(!avatar || !avatar.url || !avatar.public_id){
         throw new ApiError(500, "Could not upload avatar image. Please try again");
     }
@@ -66,7 +129,7 @@ const registerUser = asyncHandler( async (req, res) => {
     let coverImage;
     
     if(coverImageLocalPath){
-        coverImage = await uploadOnCloudinary(coverImageLocalPath);
+        coverImage = await uploadProfileImage(coverImageLocalPath, "covers");
     }
 
     // create user object - create entry in db
@@ -74,12 +137,14 @@ const registerUser = asyncHandler( async (req, res) => {
         fullName,
         avatar: {
             url: avatar.url,
-            public_id: avatar.public_id
+            public_id: avatar.public_id,
+            provider: avatar.provider
         },
         coverImage: coverImage
           ? {
                 url: coverImage.url,
-                public_id: coverImage.public_id
+                public_id: coverImage.public_id,
+                provider: coverImage.provider
             }
           : undefined,
         email,
@@ -88,15 +153,20 @@ const registerUser = asyncHandler( async (req, res) => {
     })
 
     // remove password and refresh token field from response
-    const createdUser = await User.findById(user._id).select(
-        "-password -refreshToken"
-    )
+    const createdUser = await User.findById(user._id).select("-password")
 
     // check for user creation
     if(!createdUser){
         throw new ApiError(500, "Could not create user. Please try again");
     }
 
+    // send verification email, registration should not fail if the mail could not be sent
+    try {
+        await sendEmailVerificationLink(user);
+    } catch (err) {
+        console.log("Error while sending verification email: ", err);
+    }
+
     // return response
     return res.status(201).json(
         new ApiResponse(201, createdUser, "User registered successfully")
@@ -126,15 +196,27 @@ const loginUser = asyncHandler( async (req, res) => {
     let user;
 
     if(cleanIdentifier.includes("@")){
-        user = await User.findOne({email: cleanIdentifier});
+        user = await User.findOne({email: cleanIdentifier}).select("+failedLoginAttempts +lockUntil");
     } else {
-        user = await User.findOne({username: cleanIdentifier});
+        user = await User.findOne({username: cleanIdentifier}).select("+failedLoginAttempts +lockUntil");
     }
 
-    if(!user || !(await user.isPasswordCorrect(password))){
+    // locked accounts are not even checked, so guessing cannot continue during the lock. they get the
+    // same answer as unknown users, so the lock does not tell which accounts exist
+    if(!user || user.getLoginLockRemaining() > 0){
         throw new ApiError(401, "Invalid credentials");
     }
 
+    if(!(await user.isPasswordCorrect(password))){
+        await user.registerFailedLogin();
+        throw new ApiError(401, "Invalid credentials");
+    }
+
+    // with two factor the counter is reset only once the code is accepted as well
+    if(!user.twoFactor?.enabled){
+        await user.resetFailedLogins();
+    }
+
     // password check
     // const isPasswordValid = await user.isPasswordCorrect(password);
 
@@ -142,12 +224,50 @@ const loginUser = asyncHandler( async (req, res) => {
     //     throw new ApiError(401, "Invalid credentials");
     // }
 
+    return startLogin(req, res, user);
+} )
+
+// for steps after the password was accepted, the caller knows the account exists by then
+const assertLoginNotLocked = (user) => {
+    const lockRemaining = user.getLoginLockRemaining();
+
+    if(lockRemaining > 0){
+        const retryAfterSeconds = Math.ceil(lockRemaining / 1000);
+        throw tooManyRequests(
+            retryAfterSeconds,
+            `Too many failed login attempts. Try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s)`
+        );
+    }
+}
+
+// two factor enabled: no tokens until the second step is completed
+const startLogin = async (req, res, user) => {
+    if(user.twoFactor?.enabled){
+        return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    twoFactorRequired: true,
+                    challengeToken: user.generateTwoFactorChallengeToken()
+                },
+                "Two factor authentication required"
+            )
+        )
+    }
+
+    return sendLoginResponse(req, res, user);
+}
+
+const sendLoginResponse = async (req, res, user) => {
     // access and refresh token
-    const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(user._id);
+    const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(user._id, req);
 
     const loggedInUser = user.toObject();
     delete loggedInUser.password;
-    delete loggedInUser.refreshToken;
+    delete loggedInUser.failedLoginAttempts;
+    delete loggedInUser.lockUntil;
 
     // send cookie
     const options = {
@@ -171,18 +291,454 @@ const loginUser = asyncHandler( async (req, res) => {
             "User logged in successfully"
         )
     )
-} )
+}
 
-const logoutUser = asyncHandler( async (req, res) => {
-    await User.findByIdAndUpdate(
-        req.user._id,
+const completeTwoFactorLogin = asyncHandler( async (req, res) => {
+    const {challengeToken, code, recoveryCode} = req.body;
+
+    if(!challengeToken){
+        throw new ApiError(400, "Challenge token is required");
+    }
+
+    if(!code && !recoveryCode){
+        throw new ApiError(400, "Authentication code or recovery code is required");
+    }
+
+    let decodedToken;
+
+    try {
+        decodedToken = jwt.verify(challengeToken, process.env.TWO_FACTOR_CHALLENGE_SECRET);
+    } catch (err) {
+        throw new ApiError(401, "Login challenge is invalid or has expired. Please login again");
+    }
+
+    if(decodedToken?.purpose !== "2fa-challenge"){
+        throw new ApiError(401, "Login challenge is invalid or has expired. Please login again");
+    }
+
+    const user = await User.findById(decodedToken._id).select(
+        "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep +failedLoginAttempts +lockUntil"
+    );
+
+    if(!user || !user.twoFactor?.enabled){
+        throw new ApiError(401, "Login challenge is invalid or has expired. Please login again");
+    }
+
+    // wrong codes count towards the same lockout as wrong passwords
+    assertLoginNotLocked(user);
+
+    if(!user.verifyTwoFactorCode({code, recoveryCode})){
+        await user.registerFailedLogin();
+        throw new ApiError(401, "Invalid authentication code");
+    }
+
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    // keep 2fa secrets out of the response
+    user.twoFactor.secret = undefined;
+    user.twoFactor.recoveryCodes = undefined;
+    user.twoFactor.lastUsedStep = undefined;
+
+    return sendLoginResponse(req, res, user);
+})
+
+const setupTwoFactor = asyncHandler( async (req, res) => {
+    const user = await User.findById(req.user._id);
+
+    if(!user){
+        throw new ApiError(404, "User not found");
+    }
+
+    if(user.twoFactor?.enabled){
+        throw new ApiError(400, "Two factor authentication is already enabled");
+    }
+
+    // secret becomes active only after it is confirmed in enableTwoFactor
+    const secret = generateTotpSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    const otpauthUri = buildOtpAuthUri({
+        secret,
+        accountName: user.email,
+        issuer: process.env.TWO_FACTOR_ISSUER || "VidStream Pro"
+    });
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { secret, otpauthUri }, "Scan the QR code with your authenticator app"));
+})
+
+const enableTwoFactor = asyncHandler( async (req, res) => {
+    const {code} = req.body;
+
+    if(!code){
+        throw new ApiError(400, "Authentication code is required");
+    }
+
+    const user = await User.findById(req.user._id).select(
+        "+twoFactor.pendingSecret +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep"
+    );
+
+    if(!user){
+        throw new ApiError(404, "User not found");
+    }
+
+    if(user.twoFactor?.enabled){
+        throw new ApiError(400, "Two factor authentication is already enabled");
+    }
+
+    if(!user.twoFactor?.pendingSecret){
+        throw new ApiError(400, "Start two factor setup first");
+    }
+
+    // confirm the authenticator app is set up correctly before switching it on
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.lastUsedStep = undefined;
+
+    if(!user.verifyTwoFactorCode({code})){
+        throw new ApiError(400, "Invalid authentication code");
+    }
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.pendingSecret = undefined;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(
+            200,
+            { recoveryCodes },
+            "Two factor authentication enabled. Store your recovery codes in a safe place"
+        )
+    );
+})
+
+const disableTwoFactor = asyncHandler( async (req, res) => {
+    const {password, code, recoveryCode} = req.body;
+
+    if(!password){
+        throw new ApiError(400, "Password is required");
+    }
+
+    const user = await User.findById(req.user._id).select(
+        "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep"
+    );
+
+    if(!user){
+        throw new ApiError(404, "User not found");
+    }
+
+    if(!user.twoFactor?.enabled){
+        throw new ApiError(400, "Two factor authentication is not enabled");
+    }
+
+    if(!(await user.isPasswordCorrect(password))){
+        throw new ApiError(400, "Password is incorrect");
+    }
+
+    if(!user.verifyTwoFactorCode({code, recoveryCode})){
+        throw new ApiError(400, "Invalid authentication code");
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Two factor authentication disabled"));
+})
+
+const regenerateRecoveryCodes = asyncHandler( async (req, res) => {
+    const {code} = req.body;
+
+    if(!code){
+        throw new ApiError(400, "Authentication code is required");
+    }
+
+    const user = await User.findById(req.user._id).select(
+        "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep"
+    );
+
+    if(!user){
+        throw new ApiError(404, "User not found");
+    }
+
+    if(!user.twoFactor?.enabled){
+        throw new ApiError(400, "Two factor authentication is not enabled");
+    }
+
+    if(!user.verifyTwoFactorCode({code})){
+        throw new ApiError(400, "Invalid authentication code");
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { recoveryCodes }, "Recovery codes regenerated successfully"));
+})
+
+const OAUTH_STATE_COOKIE = "oauthState";
+
+// state, nonce and PKCE verifier travel in a short lived signed cookie until the callback
+const startOAuthFlow = async (res, provider, linkUserId) => {
+    const authRequest = createAuthorizationRequest();
+    const authorizationUrl = await buildAuthorizationUrl(provider, authRequest);
+
+    const stateToken = jwt.sign(
         {
-            $set: {
-                refreshToken: null
+            provider: provider.name,
+            state: authRequest.state,
+            nonce: authRequest.nonce,
+            codeVerifier: authRequest.codeVerifier,
+            linkUserId
+        },
+        process.env.OAUTH_STATE_SECRET,
+        {
+            expiresIn: "10m"
+        }
+    )
+
+    res.cookie(OAUTH_STATE_COOKIE, stateToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === "production",
+        sameSite: "lax",
+        maxAge: 10 * 60 * 1000
+    });
+
+    return authorizationUrl;
+}
+
+const getOAuthProviderOrThrow = (name) => {
+    const provider = getProviderConfig(name?.toLowerCase());
+
+    if(!provider){
+        throw new ApiError(404, "Login provider not supported");
+    }
+
+    return provider;
+}
+
+const generateUniqueUsername = async (base) => {
+    const cleaned = (base || "").toLowerCase().replace(/[^a-z0-9_.]/g, "").replace(/^\.+/, "").slice(0, 20) || "user";
+    let candidate = cleaned;
+
+    while(getUsernameError(candidate) || await User.isUsernameTaken(candidate)){
+        candidate = `${cleaned}${crypto.randomInt(1000, 10000)}`;
+    }
+
+    return candidate;
+}
+
+// the provider picture is copied into storage like any other avatar; without one there is no avatar
+const importOAuthAvatar = async (picture) => {
+    if(!picture) return undefined;
+
+    try {
+        const avatarLocalPath = await downloadToTemp(picture);
+        const avatar = await uploadProfileImage(avatarLocalPath, "avatars");
+
+        if(avatar?.url){
+            return { url: avatar.url, public_id: avatar.public_id, provider: avatar.provider };
+        }
+    } catch (err) {
+        console.log("Error while importing provider avatar: ", err);
+    }
+
+    return undefined;
+}
+
+const getOAuthProviders = asyncHandler( async (req, res) => {
+    return res
+    .status(200)
+    .json(new ApiResponse(200, getEnabledProviders(), "Login providers fetched successfully"));
+})
+
+const oauthLogin = asyncHandler( async (req, res) => {
+    const provider = getOAuthProviderOrThrow(req.params.provider);
+
+    const authorizationUrl = await startOAuthFlow(res, provider);
+
+    return res.redirect(authorizationUrl);
+})
+
+const linkOAuthAccount = asyncHandler( async (req, res) => {
+    const provider = getOAuthProviderOrThrow(req.params.provider);
+
+    if(req.user.oauthAccounts?.some((account) => account.provider === provider.name)){
+        throw new ApiError(409, "This login provider is already linked");
+    }
+
+    const authorizationUrl = await startOAuthFlow(res, provider, req.user._id.toString());
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { authorizationUrl }, "Continue to the provider to link your account"));
+})
+
+const oauthCallback = asyncHandler( async (req, res) => {
+    const provider = getOAuthProviderOrThrow(req.params.provider);
+    const {code, state, error, error_description} = req.query;
+
+    if(error){
+        throw new ApiError(400, error_description || "Login with provider was cancelled");
+    }
+
+    if(!code || !state){
+        throw new ApiError(400, "Authorization code is missing");
+    }
+
+    // check the callback belongs to the flow started from this browser
+    let oauthState;
+
+    try {
+        oauthState = jwt.verify(req.cookies?.[OAUTH_STATE_COOKIE], process.env.OAUTH_STATE_SECRET);
+    } catch (err) {
+        throw new ApiError(400, "Login session expired. Please try again");
+    }
+
+    res.clearCookie(OAUTH_STATE_COOKIE);
+
+    if(oauthState.provider !== provider.name || oauthState.state !== state){
+        throw new ApiError(400, "Invalid login state. Please try again");
+    }
+
+    let profile;
+
+    try {
+        const tokens = await exchangeAuthorizationCode(provider, {
+            code,
+            codeVerifier: oauthState.codeVerifier,
+            nonce: oauthState.nonce
+        });
+        profile = await fetchUserProfile(provider, tokens.access_token);
+    } catch (err) {
+        throw new ApiError(401, err?.message || "Could not complete login with provider");
+    }
+
+    if(!profile.providerUserId){
+        throw new ApiError(401, "Provider did not return an account id");
+    }
+
+    const oauthAccount = {
+        provider: provider.name,
+        providerUserId: profile.providerUserId,
+        email: profile.email
+    };
+
+    const linkedUser = await User.findOne({
+        oauthAccounts: {
+            $elemMatch: {
+                provider: provider.name,
+                providerUserId: profile.providerUserId
+            }
+        }
+    });
+
+    // link to the signed in user who started the flow
+    if(oauthState.linkUserId){
+        if(linkedUser && linkedUser._id.toString() !== oauthState.linkUserId){
+            throw new ApiError(409, "This provider account is already linked to another user");
+        }
+
+        const user = await User.findById(oauthState.linkUserId).select("-password");
+
+        if(!user){
+            throw new ApiError(404, "User not found");
+        }
+
+        if(!linkedUser){
+            user.oauthAccounts.push(oauthAccount);
+            await user.save({ validateBeforeSave: false });
+        }
+
+        return res
+        .status(200)
+        .json(new ApiResponse(200, user, "Login provider linked successfully"));
+    }
+
+    let user = linkedUser;
+
+    if(!user){
+        if(!profile.email){
+            throw new ApiError(400, "Provider did not share an email address");
+        }
+
+        const existingUser = await User.findOne({email: profile.email});
+
+        if(existingUser){
+            // only trust the email match when the provider has verified it, otherwise anyone could
+            // take over an account by registering its email at the provider
+            if(!profile.emailVerified){
+                throw new ApiError(409, "An account with this email already exists. Login and link the provider from your account");
             }
+
+            existingUser.oauthAccounts.push(oauthAccount);
+            existingUser.isEmailVerified = true;
+            await existingUser.save({ validateBeforeSave: false });
+            user = existingUser;
+        } else {
+            user = await User.create({
+                fullName: profile.name || profile.email.split("@")[0],
+                username: await generateUniqueUsername(profile.username || profile.email.split("@")[0]),
+                email: profile.email,
+                avatar: await importOAuthAvatar(profile.picture),
+                isEmailVerified: profile.emailVerified,
+                oauthAccounts: [oauthAccount]
+            });
+        }
+    }
+
+    return startLogin(req, res, user);
+})
+
+const unlinkOAuthAccount = asyncHandler( async (req, res) => {
+    const provider = getOAuthProviderOrThrow(req.params.provider);
+
+    const user = await User.findById(req.user._id);
+
+    if(!user){
+        throw new ApiError(404, "User not found");
+    }
+
+    const remainingAccounts = user.oauthAccounts.filter((account) => account.provider !== provider.name);
+
+    if(remainingAccounts.length === user.oauthAccounts.length){
+        throw new ApiError(404, "This login provider is not linked");
+    }
+
+    // never remove the last way to sign in
+    if(!user.password && !remainingAccounts.length){
+        throw new ApiError(400, "Set a password through forgot password before unlinking your last login provider");
+    }
+
+    user.oauthAccounts = remainingAccounts;
+    await user.save({ validateBeforeSave: false });
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Login provider unlinked successfully"));
+})
+
+const logoutUser = asyncHandler( async (req, res) => {
+    // only end the session of this device
+    await Session.findOneAndUpdate(
+        {
+            _id: req.sessionId,
+            user: req.user._id,
+            revokedAt: null
         },
         {
-            new: true,
+            $set: {
+                revokedAt: new Date(),
+                revokedReason: "logout"
+            }
         }
     )
 
@@ -193,77 +749,295 @@ const logoutUser = asyncHandler( async (req, res) => {
 
     return res
     .status(200)
-    .clearCookie("accessToken", options)
-    .clearCookie("refreshToken", options)
-    .json(
-        new ApiResponse(200, {}, "User logged out successfully")
-    )
+    .clearCookie("accessToken", options)
+    .clearCookie("refreshToken", options)
+    .json(
+        new ApiResponse(200, {}, "User logged out successfully")
+    )
+})
+
+const refreshAccessToken = asyncHandler( async (req, res) => {
+    const incomingRefreshToken = req.cookies.refreshToken || req.body.refreshToken;
+
+    if(!incomingRefreshToken){
+        throw new ApiError(401, "Unauthorized request");
+    }
+
+    try {
+        const decodedToken = jwt.verify(incomingRefreshToken, process.env.REFRESH_TOKEN_SECRET)
+    
+        const session = await Session.findById(decodedToken?.sid).select("+refreshTokenHash")
+    
+        if(!session || session.user.toString() !== decodedToken._id){
+            throw new ApiError(404, "Invalid refresh token");
+        }
+    
+        if(session.revokedAt){
+            throw new ApiError(401, "Session has been revoked");
+        }
+    
+        // an older token of this session came back: it was stolen or replayed, end the whole family
+        if(session.refreshTokenHash !== hashToken(incomingRefreshToken)){
+            session.revokedAt = new Date();
+            session.revokedReason = "refresh-token-reuse";
+            await session.save();
+
+            throw new ApiError(401, "Refresh token reuse detected. Please login again");
+        }
+    
+        const options = {
+            httpOnly: true,
+            secure: true,
+        }
+    
+        const { accessToken, refreshToken: newRefreshToken } = await generateAccessAndRefreshTokens(session.user, req, session);
+    
+        return res
+        .status(200)
+        .cookie("accessToken", accessToken, options)
+        .cookie("refreshToken", newRefreshToken, options)
+        .json(
+            new ApiResponse(
+                200,
+                {accessToken, refreshToken: newRefreshToken},
+                "Access token refreshed successfully"
+            )
+        )
+    } catch (err) {
+        throw new ApiError(401, err?.message || "Invalid refresh token");
+    }
+})
+
+const changeCurrentUserPassword = asyncHandler( async (req, res) => {
+    const {oldPassword, newPassword} = req.body;
+
+    const user = await User.findById(req.user?._id)
+
+    if(!user){
+        throw new ApiError(404, "User not found");
+    }
+
+    const isPasswordCorrect = await user.isPasswordCorrect(oldPassword);
+
+    if(!isPasswordCorrect){
+        throw new ApiError(400, "Old password is incorrect");
+    }
+
+    user.password = newPassword;
+    await user.save({ validateBeforeSave: false });
+
+    // keep this device signed in, sign out the others
+    await revokeUserSessions(user._id, "password-change", req.sessionId);
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Password changed successfully"));
+})
+
+const getUserSessions = asyncHandler( async (req, res) => {
+    const sessions = await Session.find({
+        user: req.user._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    })
+    .sort({ lastUsedAt: -1 })
+    .select("device ip userAgent lastUsedAt createdAt expiresAt")
+    .lean();
+
+    const data = sessions.map((session) => ({
+        ...session,
+        isCurrent: session._id.toString() === req.sessionId?.toString()
+    }));
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, data, "Sessions fetched successfully"));
+})
+
+const revokeSession = asyncHandler( async (req, res) => {
+    const {sessionId} = req.params;
+
+    if(!mongoose.Types.ObjectId.isValid(sessionId)){
+        throw new ApiError(400, "Invalid session id");
+    }
+
+    const session = await Session.findOneAndUpdate(
+        {
+            _id: sessionId,
+            user: req.user._id,
+            revokedAt: null
+        },
+        {
+            $set: {
+                revokedAt: new Date(),
+                revokedReason: "revoked-by-user"
+            }
+        }
+    )
+
+    if(!session){
+        throw new ApiError(404, "Session not found");
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, null, "Session revoked successfully"));
+})
+
+const revokeOtherSessions = asyncHandler( async (req, res) => {
+    await revokeUserSessions(req.user._id, "revoked-by-user", req.sessionId);
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, null, "Other sessions revoked successfully"));
+})
+
+const requestEmailVerification = asyncHandler( async (req, res) => {
+    const user = await User.findById(req.user?._id);
+
+    if(!user){
+        throw new ApiError(404, "User not found");
+    }
+
+    if(user.isEmailVerified){
+        throw new ApiError(400, "Email is already verified");
+    }
+
+    try {
+        await sendEmailVerificationLink(user);
+    } catch (err) {
+        throw new ApiError(500, "Could not send verification email. Please try again");
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Verification email sent successfully"));
+})
+
+const verifyEmail = asyncHandler( async (req, res) => {
+    const token = req.body?.token || req.query?.token;
+
+    if(!token){
+        throw new ApiError(400, "Verification token is required");
+    }
+
+    let decodedToken;
+
+    try {
+        decodedToken = jwt.verify(token, process.env.EMAIL_VERIFICATION_TOKEN_SECRET);
+    } catch (err) {
+        throw new ApiError(400, "Verification link is invalid or has expired");
+    }
+
+    if(decodedToken?.purpose !== "email-verification"){
+        throw new ApiError(400, "Verification link is invalid or has expired");
+    }
+
+    const user = await User.findById(decodedToken._id).select("+emailVerificationToken");
+
+    // token must be the latest one issued and for the email on the account or the one it is changing to
+    if(
+        !user ||
+        user.emailVerificationToken !== hashToken(token) ||
+        ![user.email, user.pendingEmail].includes(decodedToken.email)
+    ){
+        throw new ApiError(400, "Verification link is invalid or has expired");
+    }
+
+    if(decodedToken.email === user.pendingEmail){
+        // someone else may have signed up with it since the change was requested
+        if(await User.exists({ email: user.pendingEmail, _id: {$ne: user._id} })){
+            throw new ApiError(409, "Email already in use");
+        }
+
+        user.email = user.pendingEmail;
+        user.pendingEmail = undefined;
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+
+    try {
+        await user.save({ validateBeforeSave: false });
+    } catch (err) {
+        if(err?.code === 11000){
+            throw new ApiError(409, "Email already in use");
+        }
+        throw err;
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Email verified successfully"));
 })
 
-const refreshAccessToken = asyncHandler( async (req, res) => {
-    const incomingRefreshToken = req.cookies.refreshToken || req.body.refreshToken;
+const forgotPassword = asyncHandler( async (req, res) => {
+    const {email} = req.body;
 
-    if(!incomingRefreshToken){
-        throw new ApiError(401, "Unauthorized request");
+    if(!email?.trim()){
+        throw new ApiError(400, "Email is required");
     }
 
-    try {
-        const decodedToken = jwt.verify(incomingRefreshToken, process.env.REFRESH_TOKEN_SECRET)
-    
-        const user  = await User.findById(decodedToken?._id)
-    
-        if(!user){
-            throw new ApiError(404, "Invalid refresh token");
-        }
-    
-        if(incomingRefreshToken !== user?.refreshToken){
-            throw new ApiError(401, "Refresh token is expired or used");
-        }
-    
-        const options = {
-            httpOnly: true,
-            secure: true,
+    const user = await User.findOne({email: email.trim().toLowerCase()});
+
+    // same response whether or not the account exists, to avoid leaking registered emails
+    if(user){
+        try {
+            const resetToken = user.generatePasswordResetToken();
+            await user.save({ validateBeforeSave: false });
+
+            await sendPasswordResetEmail(user, resetToken);
+        } catch (err) {
+            console.log("Error while sending password reset email: ", err);
         }
-    
-        const { accessToken, newRefreshToken } = await generateAccessAndRefreshTokens(user._id);
-    
-        return res
-        .status(200)
-        .cookie("accessToken", accessToken, options)
-        .cookie("refreshToken", newRefreshToken, options)
-        .json(
-            new ApiResponse(
-                200,
-                {accessToken, refreshToken: newRefreshToken},
-                "Access token refreshed successfully"
-            )
-        )
-    } catch (err) {
-        throw new ApiError(401, err?.message || "Invalid refresh token");
     }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "If an account exists for this email, a password reset link has been sent"));
 })
 
-const changeCurrentUserPassword = asyncHandler( async (req, res) => {
-    const {oldPassword, newPassword} = req.body;
+const resetPassword = asyncHandler( async (req, res) => {
+    const {token, newPassword} = req.body;
 
-    const user = await User.findById(req.user?._id)
+    if(!token){
+        throw new ApiError(400, "Reset token is required");
+    }
 
-    if(!user){
-        throw new ApiError(404, "User not found");
+    if(!newPassword?.trim()){
+        throw new ApiError(400, "New password is required");
     }
 
-    const isPasswordCorrect = await user.isPasswordCorrect(oldPassword);
+    let decodedToken;
 
-    if(!isPasswordCorrect){
-        throw new ApiError(400, "Old password is incorrect");
+    try {
+        decodedToken = jwt.verify(token, process.env.PASSWORD_RESET_TOKEN_SECRET);
+    } catch (err) {
+        throw new ApiError(400, "Reset link is invalid or has expired");
+    }
+
+    if(decodedToken?.purpose !== "password-reset"){
+        throw new ApiError(400, "Reset link is invalid or has expired");
+    }
+
+    const user = await User.findById(decodedToken._id).select("+passwordResetToken");
+
+    if(!user || user.passwordResetToken !== hashToken(token)){
+        throw new ApiError(400, "Reset link is invalid or has expired");
     }
 
     user.password = newPassword;
+    user.passwordResetToken = undefined;
+    // the reset link was delivered to the inbox, so the email is proven as well
+    user.isEmailVerified = true;
     await user.save({ validateBeforeSave: false });
 
+    // sign out every existing session
+    await revokeUserSessions(user._id, "password-reset");
+
     return res
     .status(200)
-    .json(new ApiResponse(200, {}, "Password changed successfully"));
+    .json(new ApiResponse(200, {}, "Password reset successfully"));
 })
 
 const getCurrentUser = asyncHandler( async (req, res) => {
@@ -273,35 +1047,129 @@ const getCurrentUser = asyncHandler( async (req, res) => {
 })
 
 const updateAccountDetails = asyncHandler( async (req, res) => {
-    const {fullName, email} = req.body
+    const {fullName, email, currentPassword} = req.body
 
     if(!fullName || !email){
         throw new ApiError(400, "All fields are required")
     }
 
-    const emailExists = await User.findOne({
-        email,
-        _id: {$ne: req.user._id}
-    });
+    const newEmail = email.trim().toLowerCase();
+    const isEmailChanged = newEmail !== req.user.email;
 
-    if(emailExists){
-        throw new ApiError(409, "Email already in use");
+    const user = await User.findById(req.user._id);
+
+    if(!user){
+        throw new ApiError(404, "User not found");
     }
 
-    const user = await User.findByIdAndUpdate(
-        req.user?._id, 
-        {
-            $set: {
-                fullName: fullName,
-                email: email
-            }
-        },
-        {new: true}
-    ).select("-password")
+    // whoever controls the email can reset the password, so changing it takes the account owner
+    if(isEmailChanged){
+        if(req.apiToken){
+            throw new ApiError(403, "API tokens cannot change the account email");
+        }
+
+        // social login only accounts have no password to confirm with
+        if(user.password && !(await user.isPasswordCorrect(currentPassword))){
+            throw new ApiError(400, "Current password is incorrect");
+        }
+
+        const emailExists = await User.exists({
+            email: newEmail,
+            _id: {$ne: user._id}
+        });
+
+        if(emailExists){
+            throw new ApiError(409, "Email already in use");
+        }
+    }
+
+    user.fullName = fullName;
+
+    // the new email takes effect once the link sent to it is opened, see verifyEmail
+    if(isEmailChanged){
+        user.pendingEmail = newEmail;
+        const verificationToken = user.generateEmailVerificationToken(newEmail);
+
+        await user.save({ validateBeforeSave: false });
+
+        try {
+            await sendVerificationEmail(user, verificationToken, newEmail);
+        } catch (err) {
+            throw new ApiError(500, "Could not send verification email. Please try again");
+        }
+    } else {
+        await user.save({ validateBeforeSave: false });
+    }
+
+    const updatedUser = await User.findById(user._id).select("-password");
+
+    return res
+    .status(200)
+    .json(new ApiResponse(
+        200,
+        updatedUser,
+        isEmailChanged
+            ? "Account details updated, open the link sent to the new email to finish changing it"
+            : "Account details updated successfully"
+    ))
+})
+
+const changeUsername = asyncHandler( async (req, res) => {
+    const username = normalizeUsername(req.body?.username);
+
+    if(!username){
+        throw new ApiError(400, "Username is required");
+    }
+
+    const usernameError = getUsernameError(username);
+
+    if(usernameError){
+        throw new ApiError(400, usernameError);
+    }
+
+    const user = await User.findById(req.user._id).select("-password");
+
+    if(!user){
+        throw new ApiError(404, "User not found");
+    }
+
+    if(user.username === username){
+        throw new ApiError(400, "This is already your username");
+    }
+
+    // cooldown between changes, so handles cannot be cycled
+    const cooldownDays = Number(process.env.USERNAME_CHANGE_COOLDOWN_DAYS) || 30;
+    const nextChangeAt = user.usernameChangedAt
+        ? new Date(user.usernameChangedAt.getTime() + cooldownDays * 24 * 60 * 60 * 1000)
+        : null;
+
+    if(nextChangeAt && nextChangeAt > new Date()){
+        throw new ApiError(429, `You can change your username again on ${nextChangeAt.toDateString()}`);
+    }
+
+    // own previous handles can be taken back
+    if(await User.isUsernameTaken(username, user._id)){
+        throw new ApiError(409, "Username is already taken");
+    }
+
+    user.previousUsernames = user.previousUsernames.filter((entry) => entry.username !== username);
+    user.previousUsernames.push({ username: user.username, changedAt: new Date() });
+    user.username = username;
+    user.usernameChangedAt = new Date();
+
+    try {
+        await user.save({ validateBeforeSave: false });
+    } catch (err) {
+        // lost a race for the same handle
+        if(err?.code === 11000){
+            throw new ApiError(409, "Username is already taken");
+        }
+        throw err;
+    }
 
     return res
     .status(200)
-    .json(new ApiResponse(200, user, "Account details updated successfully"))
+    .json(new ApiResponse(200, user, "Username changed successfully"))
 })
 
 const updateUserAvatar = asyncHandler( async (req, res) => {
@@ -311,7 +1179,7 @@ const updateUserAvatar = asyncHandler( async (req, res) => {
         throw new ApiError(400, "Avatar file is missing")
     }
 
-    const avatar = await uploadOnCloudinary(avatarLocalPath);
+    const avatar = await uploadProfileImage(avatarLocalPath, "avatars");
 
     if(!avatar || !avatar.url){
         throw new ApiError(400, "Error while uploading on avatar")
@@ -324,12 +1192,13 @@ const updateUserAvatar = asyncHandler( async (req, res) => {
     }
 
     if(user.avatar?.public_id){
-        await deleteOnCloudinary(user.avatar.public_id);
+        await deleteFile(user.avatar);
     }
 
     user.avatar = {
         url: avatar.url,
-        public_id: avatar.public_id
+        public_id: avatar.public_id,
+        provider: avatar.provider
     }
 
     await user.save({validateBeforeSave: false});
@@ -356,7 +1225,7 @@ const updateUserCoverImage = asyncHandler( async (req, res) => {
         throw new ApiError(400, "Cover image is missing")
     }
 
-    const coverImage = await uploadOnCloudinary(coverImageLocalPath);
+    const coverImage = await uploadProfileImage(coverImageLocalPath, "covers");
 
     if(!coverImage || !coverImage.url){
         throw new ApiError(400, "Error while uploading the cover image")
@@ -369,12 +1238,13 @@ const updateUserCoverImage = asyncHandler( async (req, res) => {
     }
 
     if(user.coverImage?.public_id){
-        await deleteOnCloudinary(user.coverImage.public_id);
+        await deleteFile(user.coverImage);
     }
 
     user.coverImage = {
         url: coverImage.url,
-        public_id: coverImage.public_id
+        public_id: coverImage.public_id,
+        provider: coverImage.provider
     }
 
     await user.save({validateBeforeSave: false});
@@ -394,6 +1264,69 @@ const updateUserCoverImage = asyncHandler( async (req, res) => {
     .json(new ApiResponse(200, user, "Cover image updated successfully"))
 })
 
+const requestAccountDeletion = asyncHandler( async (req, res) => {
+    const {password} = req.body || {};
+
+    const user = await User.findById(req.user._id);
+
+    if(!user){
+        throw new ApiError(404, "User not found");
+    }
+
+    if(user.deletionScheduledFor){
+        throw new ApiError(400, "Account deletion is already scheduled");
+    }
+
+    // social login only accounts have no password to confirm with
+    if(user.password && !(await user.isPasswordCorrect(password))){
+        throw new ApiError(400, "Password is incorrect");
+    }
+
+    const graceDays = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+    const deletionScheduledFor = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+
+    user.deletionRequestedAt = new Date();
+    user.deletionScheduledFor = deletionScheduledFor;
+    await user.save({ validateBeforeSave: false });
+
+    // sign out other devices, this one stays signed in so the user can still cancel
+    await revokeUserSessions(user._id, "account-deletion", req.sessionId);
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(
+            200,
+            { deletionScheduledFor },
+            `Your account will be deleted on ${deletionScheduledFor.toDateString()}. Login and cancel before then to keep it`
+        )
+    );
+})
+
+const cancelAccountDeletion = asyncHandler( async (req, res) => {
+    const user = await User.findOneAndUpdate(
+        {
+            _id: req.user._id,
+            deletionScheduledFor: { $exists: true }
+        },
+        {
+            $unset: {
+                deletionRequestedAt: 1,
+                deletionScheduledFor: 1
+            }
+        },
+        { new: true }
+    ).select("-password")
+
+    if(!user){
+        throw new ApiError(400, "No account deletion is scheduled");
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, user, "Account deletion cancelled"));
+})
+
 const getUserChannelProfile = asyncHandler( async (req, res) => {
     const {username} = req.params
 
@@ -401,12 +1334,31 @@ const getUserChannelProfile = asyncHandler( async (req, res) => {
         throw new ApiError(400, "username is missing")
     }
 
+    const requestedUsername = username.trim().toLowerCase();
+
+    // old handles resolve to the channel that used them, so shared links keep working
     const channel = await User.aggregate([
         {
             $match: {
-                username: username?.toLowerCase()
+                $or: [
+                    { username: requestedUsername },
+                    { "previousUsernames.username": requestedUsername }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                isCurrentUsername: { $eq: ["$username", requestedUsername] }
+            }
+        },
+        {
+            $sort: {
+                isCurrentUsername: -1
             }
         },
+        {
+            $limit: 1
+        },
         {
             $lookup: {
                 from: "Subscription",
@@ -458,6 +1410,11 @@ const getUserChannelProfile = asyncHandler( async (req, res) => {
         throw new ApiError(404, "channel does not exists")
     }
 
+    // let clients update the url to the current handle
+    if(channel[0].username !== requestedUsername){
+        channel[0].redirectedFrom = requestedUsername;
+    }
+
     return res
     .status(200)
     .json(
@@ -487,6 +1444,16 @@ const getWatchHistory = asyncHandler( async (req, res) => {
                 foreignField: "_id",
                 as: "video",
                 pipeline: [
+                    {
+                        // only videos the user can still watch
+                        $match: {
+                            $or: [
+                                { visibility: { $in: ["public", "unlisted"] } },
+                                { owner: new mongoose.Types.ObjectId(req.user._id) },
+                                { sharedWith: new mongoose.Types.ObjectId(req.user._id) }
+                            ]
+                        }
+                    },
                     {
                         $lookup: {
                             from: "users",
@@ -514,17 +1481,46 @@ const getWatchHistory = asyncHandler( async (req, res) => {
                 ]
             },
         },
+        // entries whose video was deleted or made private drop out
         {
-            $addFields: {
-                video: {
-                    $first: "$video"
-                }
-            }
+            $unwind: "$video"
         },
         {
             $replaceRoot: {
                 newRoot: "$video"
             }
+        },
+        // where the user stopped, so players can resume
+        {
+            $lookup: {
+                from: "watchprogresses",
+                localField: "_id",
+                foreignField: "video",
+                as: "progress",
+                pipeline: [
+                    {
+                        $match: {
+                            user: new mongoose.Types.ObjectId(req.user._id)
+                        }
+                    },
+                    {
+                        $project: {
+                            _id: 0,
+                            position: 1,
+                            duration: 1,
+                            completed: 1,
+                            updatedAt: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                progress: {
+                    $ifNull: [{ $first: "$progress" }, null]
+                }
+            }
         }
     ])
 
@@ -539,16 +1535,131 @@ const getWatchHistory = asyncHandler( async (req, res) => {
     )
 })
 
+// positions shorter than this are treated as not started
+const MIN_RESUME_SECONDS = 10;
+
+// partially watched videos, most recently watched first
+const getContinueWatching = asyncHandler( async (req, res) => {
+    const {page = 1, limit = 10} = req.query;
+
+    const userId = new mongoose.Types.ObjectId(req.user._id);
+
+    const aggregate = WatchProgress.aggregate([
+        {
+            $match: {
+                user: userId,
+                completed: false,
+                position: { $gte: MIN_RESUME_SECONDS }
+            }
+        },
+        {
+            $sort: {
+                updatedAt: -1
+            }
+        },
+        {
+            $lookup: {
+                from: "videos",
+                localField: "video",
+                foreignField: "_id",
+                as: "video",
+                pipeline: [
+                    {
+                        // only videos the user can still watch
+                        $match: {
+                            $or: [
+                                { visibility: { $in: ["public", "unlisted"] } },
+                                { owner: userId },
+                                { sharedWith: userId }
+                            ]
+                        }
+                    },
+                    {
+                        $lookup: {
+                            from: "users",
+                            localField: "owner",
+                            foreignField: "_id",
+                            as: "owner",
+                            pipeline: [
+                                {
+                                    $project: {
+                                        fullName: 1,
+                                        username: 1,
+                                        avatar: 1
+                                    }
+                                }
+                            ]
+                        }
+                    },
+                    {
+                        $project: {
+                            title: 1,
+                            thumbnail: 1,
+                            duration: 1,
+                            views: 1,
+                            owner: {
+                                $first: "$owner"
+                            }
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $unwind: "$video"
+        },
+        {
+            $project: {
+                _id: 0,
+                video: 1,
+                position: 1,
+                duration: 1,
+                updatedAt: 1
+            }
+        }
+    ]);
+
+    const videos = await WatchProgress.aggregatePaginate(aggregate, {
+        page: parseInt(page) || 1,
+        limit: Math.min(parseInt(limit) || 10, 50)
+    });
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Continue watching fetched successfully"))
+})
+
 export { 
     registerUser,
     loginUser, 
+    completeTwoFactorLogin,
+    getOAuthProviders,
+    oauthLogin,
+    oauthCallback,
+    linkOAuthAccount,
+    unlinkOAuthAccount,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
     logoutUser, 
     refreshAccessToken, 
     changeCurrentUserPassword, 
+    getUserSessions,
+    revokeSession,
+    revokeOtherSessions,
+    requestEmailVerification,
+    verifyEmail,
+    forgotPassword,
+    resetPassword,
     getCurrentUser, 
     updateAccountDetails, 
+    changeUsername,
     updateUserAvatar, 
     updateUserCoverImage,
     getUserChannelProfile,
-    getWatchHistory
+    getWatchHistory,
+    getContinueWatching,
+    requestAccountDeletion,
+    cancelAccountDeletion
 };
\ No newline at end of file
@@ -1,39 +1,37 @@
 import mongoose from "mongoose";
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
 import { Video } from "../models/video.model.js";
-import { deleteOnCloudinary, uploadOnCloudinary } from "../services/cloudinaryService.js";
+import { Caption } from "../models/caption.model.js";
+import { getSignedFileUrl } from "../services/storageService.js";
+import { resolveFilePath } from "../services/diskStorageService.js";
+import { recordView, trackStreamedBytes } from "../services/viewService.js";
+import { getDeviceInfo } from "../utils/deviceInfo.js";
+import { validateVideoFile } from "../services/mediaValidationService.js";
+import { applyPublishSchedule } from "../utils/publishSchedule.js";
+import { parseChaptersFromDescription, syncChaptersFromDescription, validateChapters } from "../utils/chapters.js";
+import { canViewVideo } from "../utils/videoAccess.js";
+import { VIDEO_CATEGORIES, VIDEO_VISIBILITIES } from "../constants.js";
+import { applyTagsAndCategory, normalizeTag } from "../utils/tags.js";
+import { escapeRegex } from "../utils/search.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { User } from "../models/user.model.js";
+import { deleteVideosWithReferences } from "../services/cleanupService.js";
+import { processPendingVideos, stageSourceFile } from "../services/transcodeService.js";
+import { deleteThumbnail, storeThumbnail } from "../services/thumbnailService.js";
+import { getWatchProgress, saveWatchProgress } from "../services/watchProgressService.js";
 
-const getAllVideos = asyncHandler(async (req, res) => {
-    // get data from query
-    const {page = 1, limit = 10, query, sortBy, sortType, userId} = req.query;
+// videos pulled into listings through their captions are capped
+const MAX_CAPTION_MATCHES = 200;
 
+// public videos matching `match` with their owner, sorted and paginated from the query string
+const paginatePublicVideos = async (match, {page = 1, limit = 10, sortBy, sortType} = {}) => {
     const pageNumber = parseInt(page);
     const limitNumber = parseInt(limit);
 
-    // choose only publish videos
-    const match = {
-        isPublished: true
-    };
-
-    // search
-    if(query){
-        match.title = {
-            $regex: query,
-            $options: "i"
-        };
-    }
-
-    // filter by owner
-    if(userId){
-        if(!mongoose.Types.ObjectId.isValid(userId)){
-            throw new ApiError(400, "Invalid user id");
-        }
-        match.owner = mongoose.Types.ObjectId(userId);
-    }
-
     // sorting
     const sortOptions = {};
     if(sortBy){
@@ -45,7 +43,10 @@ const getAllVideos = asyncHandler(async (req, res) => {
     // aggregate pipline
     const aggregate = Video.aggregate([
         {
-            $match: match
+            $match: {
+                ...match,
+                visibility: "public"
+            }
         },
         {
             $sort: sortOptions
@@ -78,7 +79,58 @@ const getAllVideos = asyncHandler(async (req, res) => {
         limit: limitNumber
     }
 
-    const videos = await Video.aggregatePaginate(aggregate, options);
+    return Video.aggregatePaginate(aggregate, options);
+}
+
+const getAllVideos = asyncHandler(async (req, res) => {
+    // get data from query
+    const {query, userId, category, tag} = req.query;
+
+    // choose only public videos
+    const match = {};
+
+    // search titles and what is said in the video
+    if(query){
+        // the caption text index, a regex would scan every transcript
+        const captionMatches = await Caption.find({ $text: { $search: query } }, { score: { $meta: "textScore" } })
+            .sort({ score: { $meta: "textScore" } })
+            .limit(MAX_CAPTION_MATCHES)
+            .select("video")
+            .lean();
+
+        const captionedVideoIds = captionMatches.map((caption) => caption.video);
+
+        match.$or = [
+            {
+                title: {
+                    $regex: escapeRegex(query),
+                    $options: "i"
+                }
+            },
+            {
+                _id: { $in: captionedVideoIds }
+            }
+        ];
+    }
+
+    // filter by owner
+    if(userId){
+        if(!mongoose.Types.ObjectId.isValid(userId)){
+            throw new ApiError(400, "Invalid user id");
+        }
+        match.owner = mongoose.Types.ObjectId(userId);
+    }
+
+    // filter by category and tag
+    if(category){
+        match.category = String(category).toLowerCase();
+    }
+
+    if(tag){
+        match.tags = normalizeTag(tag);
+    }
+
+    const videos = await paginatePublicVideos(match, req.query);
 
     // return response
     return res
@@ -86,6 +138,111 @@ const getAllVideos = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, videos, "Videos fetched successfully"))
 })
 
+const getVideoCategories = asyncHandler(async (req, res) => {
+    const counts = await Video.aggregate([
+        {
+            $match: {
+                visibility: "public",
+                category: { $ne: null }
+            }
+        },
+        {
+            $group: {
+                _id: "$category",
+                videoCount: { $sum: 1 }
+            }
+        }
+    ]);
+
+    const categories = VIDEO_CATEGORIES.map((category) => ({
+        ...category,
+        videoCount: counts.find((count) => count._id === category.slug)?.videoCount || 0
+    }));
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, categories, "Categories fetched successfully"))
+})
+
+const getCategoryVideos = asyncHandler(async (req, res) => {
+    const category = VIDEO_CATEGORIES.find((item) => item.slug === req.params.category?.toLowerCase());
+
+    if(!category){
+        throw new ApiError(404, "Category not found");
+    }
+
+    const videos = await paginatePublicVideos({ category: category.slug }, req.query);
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { ...videos, category }, "Category videos fetched successfully"))
+})
+
+const getTagVideos = asyncHandler(async (req, res) => {
+    const tag = normalizeTag(req.params.tag);
+
+    if(!tag){
+        throw new ApiError(400, "Invalid tag");
+    }
+
+    const videos = await paginatePublicVideos({ tags: tag }, req.query);
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { ...videos, tag }, "Tag videos fetched successfully"))
+})
+
+// most used tags on public videos, optionally within a category
+const getPopularTags = asyncHandler(async (req, res) => {
+    const {limit = 20, category} = req.query;
+
+    const limitNumber = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const match = {
+        visibility: "public",
+        "tags.0": { $exists: true }
+    };
+
+    if(category){
+        match.category = String(category).toLowerCase();
+    }
+
+    const tags = await Video.aggregate([
+        {
+            $match: match
+        },
+        {
+            $unwind: "$tags"
+        },
+        {
+            $group: {
+                _id: "$tags",
+                videoCount: { $sum: 1 }
+            }
+        },
+        {
+            $sort: {
+                videoCount: -1,
+                _id: 1
+            }
+        },
+        {
+            $limit: limitNumber
+        },
+        {
+            $project: {
+                _id: 0,
+                tag: "$_id",
+                videoCount: 1
+            }
+        }
+    ]);
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, tags, "Popular tags fetched successfully"))
+})
+
 const publishAVideo = asyncHandler(async (req, res) => {
     // get title and description
     const {title, description} = req.body;
@@ -93,51 +250,87 @@ const publishAVideo = asyncHandler(async (req, res) => {
     if(!title || !description){
         throw new ApiError(400, "title or description is missing");
     }
+
+    // optional publishAt / isPremiere, tags and category
+    const schedule = applyPublishSchedule({}, req.body);
+    const labels = applyTagsAndCategory({}, req.body);
     
-    // get video and thumbnail
-    const videoLocalPath = req.files?.videoFile[0]?.path;
-    const thumbnailLocalPath = req.files?.thumbnail[0]?.path;
+    // get video and the optional thumbnail, without one the first extracted frame is used
+    const videoLocalPath = req.files?.videoFile?.[0]?.path;
+    const thumbnailLocalPath = req.files?.thumbnail?.[0]?.path;
 
-    if(!videoLocalPath || !thumbnailLocalPath){
-        throw new ApiError(400, "Video file or thumbnail is missing");
+    if(!videoLocalPath){
+        if(thumbnailLocalPath && fs.existsSync(thumbnailLocalPath)) fs.unlinkSync(thumbnailLocalPath);
+        throw new ApiError(400, "Video file is missing");
     }
 
-    // upload video and thumbnail on cloudinary
-    const uploadedVideo = await uploadOnCloudinary(videoLocalPath);
+    // check the file by its content, not its name
+    let probed;
 
-    if(!uploadedVideo){
-        throw new ApiError(500, "Video upload failed");
+    try {
+        probed = await validateVideoFile(videoLocalPath);
+    } catch (err) {
+        if(fs.existsSync(videoLocalPath)) fs.unlinkSync(videoLocalPath);
+        if(thumbnailLocalPath && fs.existsSync(thumbnailLocalPath)) fs.unlinkSync(thumbnailLocalPath);
+        throw err;
     }
 
-    const uploadedThumbnail = await uploadOnCloudinary(thumbnailLocalPath);
+    // store thumbnail with its sizes, the video is stored by the transcode job once it is encoded
+    let thumbnail;
 
-    if(!uploadedThumbnail){
-        await deleteOnCloudinary(uploadedVideo.public_id);
-        throw new ApiError(500, "Video upload failed");
+    try {
+        thumbnail = thumbnailLocalPath && await storeThumbnail(thumbnailLocalPath);
+    } catch (err) {
+        if(fs.existsSync(videoLocalPath)) fs.unlinkSync(videoLocalPath);
+        throw err;
     }
 
-    // create video
-    const video = await Video.create({
+    const videoId = new mongoose.Types.ObjectId();
+    const sourcePath = await stageSourceFile(videoLocalPath, videoId);
+
+    // create video, it can be published when processing is done
+    await Video.create({
+        _id: videoId,
         title,
         description,
-        duration: uploadedVideo.duration || 0,
-        videoFile: {
-            url: uploadedVideo.url,
-            public_id: uploadedVideo.public_id
-        },
-        thumbnail: {
-            url: uploadedThumbnail.url,
-            public_id: uploadedThumbnail.public_id
-        },
-        owner: req.user._id
+        duration: probed.duration,
+        chapters: parseChaptersFromDescription(description, probed.duration),
+        metadata: probed.metadata,
+        thumbnail,
+        owner: req.user._id,
+        ...schedule,
+        ...labels,
+        processing: {
+            status: "pending",
+            sourcePath
+        }
     })
 
+    setImmediate(() => {
+        processPendingVideos()
+            .catch((err) => console.log("Error while processing videos: ", err));
+    });
+
+    const video = await Video.findById(videoId);
+
     // retrun response
     return res
-    .status(201)
-    .json(new ApiResponse(201, video, "Video published successfully"))
+    .status(202)
+    .json(new ApiResponse(202, video, "Video uploaded, it is being processed"))
 })
 
+// countdown info while a premiere waits for its publish time (or for processing to finish)
+const getUpcomingPremiere = (video) => {
+    if(video.visibility !== "private" || !video.isPremiere || !video.publishAt){
+        return null;
+    }
+
+    return {
+        startsAt: video.publishAt,
+        startsInSeconds: Math.max(0, Math.ceil((video.publishAt.getTime() - Date.now()) / 1000))
+    };
+}
+
 const getVideoById = asyncHandler(async (req, res) => {
     // get video id from a params
     const {videoId} = req.params;
@@ -149,53 +342,70 @@ const getVideoById = asyncHandler(async (req, res) => {
     // search in DB for video id
     const video = await Video.findById(videoId).populate("owner", "username avatar");
 
-    if(!video || !video.isPublished){
+    if(!video){
         throw new ApiError(404, "video not found");
     }
 
-   // atomic unique view increment
-    await Video.findOneAndUpdate(
-        {
-            _id: videoId,
-            viewedBy: { $ne: req.user._id }
-        },
-        {
-            $inc: { views: 1 },
-            $push: { viewedBy: req.user._id }
-        }
-    );
+    const premiere = getUpcomingPremiere(video);
 
-    // update watch history
-    await User.findByIdAndUpdate(
-        req.user._id,
-        {
-            $pull: {
-                watchHistory: {
-                    video: videoId
-                }
-            }
+    if(!canViewVideo(video, req.user)){
+        // upcoming premieres have a public page with a countdown, the video itself stays hidden
+        if(!premiere){
+            throw new ApiError(404, "video not found");
         }
-    );
 
-    await User.findByIdAndUpdate(
-        req.user._id,
-        {
-            $push: {
-                watchHistory: {
-                    video: videoId,
-                    watchedAt: new Date()
-                }
-            }
-        }
-    );
+        const { videoFile, streaming, sharedWith, ...details } = video.toObject();
+
+        return res
+        .status(200)
+        .json(new ApiResponse(200, { ...details, premiere }, "Premiere fetched successfully"))
+    }
 
-    // save updated video to DB
-    // await video.save({validateBeforeSave: false});
+    // where the user stopped last time, the watch history is updated by the progress heartbeat
+    const progress = await getWatchProgress(req.user._id, video._id);
+
+    // who a private video is shared with is only for its owner to see
+    const { sharedWith, ...details } = video.toObject();
+
+    if(video.owner?._id.equals(req.user._id)){
+        details.sharedWith = sharedWith;
+    }
 
     // return response
     return res
     .status(200)
-    .json(new ApiResponse(200, video, "Video fetched successfully"))
+    .json(new ApiResponse(200, { ...details, progress }, "Video fetched successfully"))
+})
+
+// player heartbeat with the current position, every few seconds while playing
+const updateWatchProgress = asyncHandler(async (req, res) => {
+    const {videoId} = req.params;
+    const position = Number(req.body?.position);
+
+    if(!mongoose.Types.ObjectId.isValid(videoId)){
+        throw new ApiError(400, "Invalid Video Id");
+    }
+
+    if(req.body?.position === undefined || !Number.isFinite(position) || position < 0){
+        throw new ApiError(400, "position must be a number of seconds");
+    }
+
+    const video = await Video.findById(videoId).select("owner visibility sharedWith duration");
+
+    if(!video || !canViewVideo(video, req.user)){
+        throw new ApiError(404, "video not found");
+    }
+
+    const progress = await saveWatchProgress(req.user._id, video, position);
+
+    // HLS players fetch segments from storage, their heartbeat is what shows the video was watched
+    if(position >= Math.min(STREAM_VIEW_SECONDS, video.duration || STREAM_VIEW_SECONDS)){
+        await recordView(video._id, { userId: req.user._id, ...getDeviceInfo(req) });
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, progress, "Watch progress saved"))
 })
 
 const getSuggestedVideos = asyncHandler(async (req, res) => {
@@ -210,10 +420,10 @@ const getSuggestedVideos = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Invalid Video Id");
     }
 
-    // find video
+    // find video, suggestions would give away the tags and category of a video the user cannot watch
     const video = await Video.findById(videoId);
 
-    if(!video){
+    if(!video || !canViewVideo(video, req.user)){
         throw new ApiError(404, "video not found");
     }
 
@@ -234,7 +444,7 @@ const getSuggestedVideos = asyncHandler(async (req, res) => {
     const suggestions = await Video.aggregate([
         {
             $match: {
-                isPublished: true,
+                visibility: "public",
                 _id: { 
                     $ne: video._id, 
                     $nin: watchedVideoIds 
@@ -250,7 +460,7 @@ const getSuggestedVideos = asyncHandler(async (req, res) => {
                     }, 
                     { 
                         title: {
-                            $regex: video.title, 
+                            $regex: escapeRegex(video.title), 
                             $options: "i" 
                         } 
                     } 
@@ -294,33 +504,20 @@ const getSuggestedVideos = asyncHandler(async (req, res) => {
 })
 
 const updateVideo = asyncHandler(async (req, res) => {
-    // get video id from params
-    const {videoId} = req.params;
-
-    if(!mongoose.Types.ObjectId.isValid(videoId)){
-        throw new ApiError(400, "Invalid Video Id")
-    }
-
-    // search video in db
-    const video = await Video.findById(videoId);
-
-    if(!video){
-        throw new ApiError(404, "Video not found");
-    }
-
-    // owner authorization check
-    if(video.owner.toString() !== req.user._id.toString()){
-        throw new ApiError(403, "You are not authorized to update this video");
-    }
+    // video loaded and authorized by requireOwnerOrPermission
+    const video = req.resource;
 
-    // get title, description and thumbnail to update
-    const {title, description} = req.body || {};
+    // get title, description, thumbnail, schedule, tags and category to update
+    const {title, description, publishAt, isPremiere, tags, category} = req.body || {};
     const thumbnailPath = req.file?.path;
 
-    if(!title && !description && !thumbnailPath){
+    if(!title && !description && !thumbnailPath && [publishAt, isPremiere, tags, category].every((value) => value === undefined)){
         throw new ApiError(400, "Atleast one detail is required to update");
     }
 
+    applyPublishSchedule(video, { publishAt, isPremiere });
+    applyTagsAndCategory(video, { tags, category });
+
     // update title, description, thumbnail
     if(title){
         video.title = title;
@@ -328,21 +525,15 @@ const updateVideo = asyncHandler(async (req, res) => {
     
     if(description){
         video.description = description;
+        syncChaptersFromDescription(video);
     }
 
     if(thumbnailPath){
-        const uploadedThumbnail = await uploadOnCloudinary(thumbnailPath);
+        const previousThumbnail = video.toObject().thumbnail;
 
-        if(!uploadedThumbnail){
-            throw new ApiError(500, "Failed to upload thumbnail");
-        }
+        video.thumbnail = await storeThumbnail(thumbnailPath);
 
-        await deleteOnCloudinary(video.thumbnail.public_id);
-
-        video.thumbnail = {
-            url: uploadedThumbnail.url,
-            public_id: uploadedThumbnail.public_id
-        };
+        await deleteCustomThumbnail(video, previousThumbnail);
     }
 
     // save to db
@@ -354,32 +545,69 @@ const updateVideo = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, video, "Video updated successfully"));
 })
 
-const deleteVideo = asyncHandler(async (req, res) => {
-    // get video id from params
-    const {videoId} = req.params;
+// candidates stay available after another thumbnail is chosen, only uploaded images are removed
+const deleteCustomThumbnail = async (video, thumbnail) => {
+    const isCandidate = video.thumbnailCandidates?.some((candidate) => candidate.public_id === thumbnail?.public_id);
 
-    if(!mongoose.Types.ObjectId.isValid(videoId)){
-        throw new ApiError(400, "Invalid Video Id");
+    if(!isCandidate){
+        await deleteThumbnail(thumbnail);
     }
+}
 
-    // find video
-    const video = await Video.findById(videoId);
+const getThumbnailCandidates = asyncHandler(async (req, res) => {
+    // video loaded and authorized by requireOwnerOrPermission
+    const video = req.resource;
 
-    if(!video){
-        throw new ApiError(404, "Video not found");
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {
+        thumbnail: video.thumbnail,
+        candidates: video.thumbnailCandidates
+    }, "Thumbnail candidates fetched successfully"));
+})
+
+const selectThumbnailCandidate = asyncHandler(async (req, res) => {
+    // video loaded and authorized by requireOwnerOrPermission
+    const video = req.resource;
+
+    const {candidateId} = req.body || {};
+
+    if(!candidateId || !mongoose.Types.ObjectId.isValid(candidateId)){
+        throw new ApiError(400, "Invalid candidate id");
+    }
+
+    const candidate = video.thumbnailCandidates.id(candidateId);
+
+    if(!candidate){
+        throw new ApiError(404, "Thumbnail candidate not found");
     }
 
-    // owner authorization check
-    if(video.owner.toString() !== req.user._id.toString()){
-        throw new ApiError(403, "You are not authorized to update this video");
+    const previousThumbnail = video.toObject().thumbnail;
+
+    video.thumbnail = {
+        url: candidate.url,
+        public_id: candidate.public_id,
+        provider: candidate.provider,
+        variants: candidate.variants
+    };
+
+    await video.save({validateBeforeSave: false});
+
+    if(previousThumbnail?.public_id !== candidate.public_id){
+        await deleteCustomThumbnail(video, previousThumbnail);
     }
 
-    // delete video from cloudinary
-    if(video.thumbnail?.public_id) await deleteOnCloudinary(video.thumbnail.public_id, "image");
-    if(video.videoFile?.public_id) await deleteOnCloudinary(video.videoFile.public_id, "video");
+    return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Thumbnail updated successfully"));
+})
+
+const deleteVideo = asyncHandler(async (req, res) => {
+    // video loaded and authorized by requireOwnerOrPermission
+    const video = req.resource;
 
-    // delete video data from db
-    await Video.findByIdAndDelete(videoId);
+    // delete video from storage and db, with its likes, comments and playlist / history entries
+    await deleteVideosWithReferences([video]);
 
     // return response
     return res
@@ -387,44 +615,261 @@ const deleteVideo = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, null, "Video deleted successfully"));
 })
 
+// publishing by hand replaces any schedule
+const setVideoVisibility = (video, visibility) => {
+    if(visibility !== "private" && video.processing?.status !== "ready"){
+        throw new ApiError(409, "Video can be published once processing is done");
+    }
+
+    video.visibility = visibility;
+    video.publishAt = undefined;
+    video.isPremiere = false;
+
+    if(visibility !== "private" && !video.publishedAt){
+        video.publishedAt = new Date();
+    }
+}
+
+// switches between public and private
 const togglePublishStatus = asyncHandler(async (req, res) => {
-    // get video id from params
+    // video loaded and authorized by requireOwnerOrPermission
+    const video = req.resource;
+
+    // update toggel in db
+    setVideoVisibility(video, video.visibility === "public" ? "private" : "public");
+
+    // save to db
+    await video.save({validateBeforeSave: false});
+
+    // return response
+    return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Video publish status updated successfully"));
+})
+
+// a view counts once this much of the video was streamed or played, or all of it for shorter videos
+const STREAM_VIEW_SECONDS = 30;
+
+// If-Range: only honour the Range header when the client's copy is still the current file
+const isRangeFresh = (req, etag, lastModified) => {
+    const ifRange = req.get("If-Range");
+
+    if(!ifRange) return true;
+
+    if(ifRange.includes("\"")){
+        return ifRange === etag;
+    }
+
+    return Math.floor(lastModified.getTime() / 1000) <= Math.floor(Date.parse(ifRange) / 1000);
+}
+
+const streamVideo = asyncHandler(async (req, res) => {
     const {videoId} = req.params;
 
     if(!mongoose.Types.ObjectId.isValid(videoId)){
-        throw new ApiError(400, "Invalid Video Id")
+        throw new ApiError(400, "Invalid Video Id");
     }
 
-    // search video in db
     const video = await Video.findById(videoId);
 
-    if(!video){
-        throw new ApiError(404, "Video not found");
+    if(!video || !canViewVideo(video, req.user)){
+        throw new ApiError(404, "video not found");
     }
 
-    // owner authorization check
-    if(video.owner.toString() !== req.user._id.toString()){
-        throw new ApiError(403, "You are not authorized to update this video");
+    if(!video.videoFile?.public_id){
+        throw new ApiError(409, "Video is still being processed");
     }
 
-    // update toggel in db
-    video.isPublished = !video.isPublished
+    // files on other providers are streamed by the provider itself
+    if((video.videoFile.provider || "cloudinary") !== "local"){
+        return res.redirect(await getSignedFileUrl(video.videoFile, { resourceType: "video" }));
+    }
+
+    const filePath = resolveFilePath(video.videoFile.public_id);
+    const stats = await fs.promises.stat(filePath).catch(() => null);
+
+    if(!stats){
+        throw new ApiError(404, "Video file not found");
+    }
+
+    const size = stats.size;
+    const etag = `"${size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+
+    res.set({
+        "Accept-Ranges": "bytes",
+        "ETag": etag,
+        "Last-Modified": stats.mtime.toUTCString(),
+        "Cache-Control": "private, no-cache"
+    });
+    res.type(path.extname(filePath));
+
+    // If-None-Match / If-Modified-Since
+    if(req.fresh){
+        return res.status(304).end();
+    }
+
+    let start = 0;
+    let end = size - 1;
+
+    if(req.get("Range") && isRangeFresh(req, etag, stats.mtime)){
+        const ranges = req.range(size, { combine: true });
+
+        if(ranges === -1){
+            throw new ApiError(416, "Requested range not satisfiable", [], "", { "Content-Range": `bytes */${size}` });
+        }
+
+        // malformed or multiple ranges get the whole file
+        if(Array.isArray(ranges) && ranges.type === "bytes" && ranges.length === 1){
+            start = ranges[0].start;
+            end = ranges[0].end;
+
+            res.status(206).set("Content-Range", `bytes ${start}-${end}/${size}`);
+        }
+    }
+
+    res.set("Content-Length", String(end - start + 1));
+
+    if(req.method === "HEAD"){
+        return res.end();
+    }
+
+    const viewThreshold = video.duration > 0
+        ? Math.min(size, (size / video.duration) * STREAM_VIEW_SECONDS)
+        : size;
+
+    const fileStream = fs.createReadStream(filePath, { start, end });
+
+    fileStream.on("data", (chunk) => {
+        if(trackStreamedBytes(video._id, req.user._id, chunk.length, viewThreshold)){
+            recordView(video._id, { userId: req.user._id, ...getDeviceInfo(req) })
+                .catch((err) => console.log("Error while recording view: ", err));
+        }
+    });
+
+    try {
+        await pipeline(fileStream, res);
+    } catch (err) {
+        // players cancel ranges all the time when seeking
+        if(err.code !== "ERR_STREAM_PREMATURE_CLOSE") throw err;
+    }
+})
+
+const MAX_SHARED_USERS = 50;
+
+const updateVideoVisibility = asyncHandler(async (req, res) => {
+    // video loaded and authorized by requireOwnerOrPermission
+    const video = req.resource;
+
+    const {visibility, sharedWith} = req.body || {};
+
+    if(!visibility && sharedWith === undefined){
+        throw new ApiError(400, "visibility or sharedWith is required");
+    }
+
+    if(visibility && !VIDEO_VISIBILITIES.includes(visibility)){
+        throw new ApiError(400, `visibility must be one of ${VIDEO_VISIBILITIES.join(", ")}`);
+    }
+
+    // replaces the list of users a private video is shared with
+    if(sharedWith !== undefined){
+        if(!Array.isArray(sharedWith) || sharedWith.length > MAX_SHARED_USERS){
+            throw new ApiError(400, `sharedWith must be a list of at most ${MAX_SHARED_USERS} user ids`);
+        }
+
+        const userIds = [...new Set(sharedWith.map(String))]
+            .filter((userId) => userId !== req.user._id.toString() && userId !== video.owner.toString());
+
+        if(!userIds.every((userId) => mongoose.Types.ObjectId.isValid(userId))){
+            throw new ApiError(400, "Invalid user id in sharedWith");
+        }
+
+        const existingUsers = await User.countDocuments({ _id: { $in: userIds } });
+
+        if(existingUsers !== userIds.length){
+            throw new ApiError(404, "Some users in sharedWith do not exist");
+        }
+
+        video.sharedWith = userIds;
+    }
+
+    if(visibility && visibility !== video.visibility){
+        setVideoVisibility(video, visibility);
+    }
 
-    // save to db
     await video.save({validateBeforeSave: false});
 
-    // return response
     return res
     .status(200)
-    .json(new ApiResponse(200, video, "Video publish status updated successfully"));
+    .json(new ApiResponse(200, video, "Video visibility updated successfully"));
+})
+
+// chapters set here stop following the description until they are deleted
+const updateVideoChapters = asyncHandler(async (req, res) => {
+    // video loaded and authorized by requireOwnerOrPermission
+    const video = req.resource;
+
+    video.chapters = validateChapters(req.body?.chapters, video.duration);
+    video.chaptersSource = "manual";
+
+    await video.save({validateBeforeSave: false});
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, video.chapters, "Chapters updated successfully"));
+})
+
+// goes back to the chapters written in the description
+const deleteVideoChapters = asyncHandler(async (req, res) => {
+    // video loaded and authorized by requireOwnerOrPermission
+    const video = req.resource;
+
+    video.chaptersSource = "description";
+    syncChaptersFromDescription(video);
+
+    await video.save({validateBeforeSave: false});
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, video.chapters, "Chapters reset to the description"));
+})
+
+const getVideoProcessingStatus = asyncHandler(async (req, res) => {
+    // video loaded and authorized by requireOwnerOrPermission
+    const video = req.resource;
+
+    const { status, progress, attempts, error, startedAt, completedAt } = video.processing;
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {
+        status,
+        progress,
+        attempts,
+        error,
+        startedAt,
+        completedAt,
+        renditions: video.streaming?.renditions || []
+    }, "Video processing status fetched successfully"));
 })
 
 export { 
     getAllVideos, 
+    getVideoCategories,
+    getCategoryVideos,
+    getTagVideos,
+    getPopularTags,
     publishAVideo, 
     getVideoById,
     getSuggestedVideos, 
     updateVideo, 
     deleteVideo, 
-    togglePublishStatus 
+    togglePublishStatus,
+    updateVideoVisibility,
+    getThumbnailCandidates,
+    selectThumbnailCandidate,
+    updateVideoChapters,
+    deleteVideoChapters,
+    updateWatchProgress,
+    getVideoProcessingStatus,
+    streamVideo
 };
\ No newline at end of file
@@ -0,0 +1,28 @@
+import { User } from "../models/user.model.js";
+import { deleteUserAccount } from "../services/cleanupService.js";
+
+const purgeDeletedAccounts = async () => {
+    try {
+        const users = await User.find({
+            deletionScheduledFor: { $lte: new Date() }
+        }).select("avatar coverImage");
+
+        for(const user of users){
+            await deleteUserAccount(user);
+        }
+    } catch (err) {
+        console.log("Error while purging deleted accounts: ", err);
+    }
+}
+
+// accounts are removed once their grace period is over
+const startAccountDeletionJob = (intervalMs = 60 * 60 * 1000) => {
+    purgeDeletedAccounts();
+
+    const timer = setInterval(purgeDeletedAccounts, intervalMs);
+    timer.unref();
+
+    return timer;
+}
+
+export { startAccountDeletionJob, purgeDeletedAccounts };
\ No newline at end of file
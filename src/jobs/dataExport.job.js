@@ -0,0 +1,36 @@
+import { DataExport } from "../models/dataExport.model.js";
+import { expireDataExports, processDataExport } from "../services/dataExportService.js";
+
+const runDataExportJob = async () => {
+    try {
+        // exports left "processing" by a crash or restart are built again
+        await DataExport.updateMany(
+            {
+                status: "processing",
+                updatedAt: { $lte: new Date(Date.now() - 60 * 60 * 1000) }
+            },
+            { $set: { status: "pending" } }
+        );
+
+        const pendingExports = await DataExport.find({ status: "pending" }).select("_id");
+
+        for(const dataExport of pendingExports){
+            await processDataExport(dataExport._id);
+        }
+
+        await expireDataExports();
+    } catch (err) {
+        console.log("Error while running data export job: ", err);
+    }
+}
+
+const startDataExportJob = (intervalMs = 15 * 60 * 1000) => {
+    runDataExportJob();
+
+    const timer = setInterval(runDataExportJob, intervalMs);
+    timer.unref();
+
+    return timer;
+}
+
+export { startDataExportJob, runDataExportJob };
\ No newline at end of file
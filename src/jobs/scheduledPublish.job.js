@@ -0,0 +1,59 @@
+import { Video } from "../models/video.model.js";
+
+let nextRunTimer;
+
+// videos whose publish time has come; ones still processing wait until they are ready
+const publishDueVideos = async () => {
+    const dueVideos = await Video.find({
+        visibility: "private",
+        publishAt: { $lte: new Date() },
+        "processing.status": "ready"
+    }).select("publishAt");
+
+    for(const video of dueVideos){
+        await Video.updateOne(
+            { _id: video._id, visibility: "private", publishAt: video.publishAt },
+            {
+                $set: { visibility: "public", publishedAt: video.publishAt },
+                $unset: { publishAt: 1 }
+            }
+        );
+    }
+}
+
+// the interval alone would publish up to a minute late, premieres should start on time
+const scheduleNextRun = async (intervalMs) => {
+    const nextVideo = await Video.findOne({
+        visibility: "private",
+        publishAt: { $gt: new Date(), $lte: new Date(Date.now() + intervalMs) },
+        "processing.status": "ready"
+    }).sort({ publishAt: 1 }).select("publishAt");
+
+    clearTimeout(nextRunTimer);
+
+    if(nextVideo){
+        nextRunTimer = setTimeout(() => runScheduledPublishJob(intervalMs), nextVideo.publishAt.getTime() - Date.now());
+        nextRunTimer.unref();
+    }
+}
+
+const runScheduledPublishJob = async (intervalMs) => {
+    try {
+        await publishDueVideos();
+        await scheduleNextRun(intervalMs);
+    } catch (err) {
+        console.log("Error while publishing scheduled videos: ", err);
+    }
+}
+
+// the schedule lives in the db, so nothing is lost on restart
+const startScheduledPublishJob = (intervalMs = 60 * 1000) => {
+    runScheduledPublishJob(intervalMs);
+
+    const timer = setInterval(() => runScheduledPublishJob(intervalMs), intervalMs);
+    timer.unref();
+
+    return timer;
+}
+
+export { startScheduledPublishJob, runScheduledPublishJob };
@@ -0,0 +1,36 @@
+import { Video } from "../models/video.model.js";
+import { TRANSCODE_LOCK_TIMEOUT_MS, processPendingVideos } from "../services/transcodeService.js";
+
+const runTranscodeJob = async () => {
+    try {
+        // the worker renews its lock every minute, a video with an old lock was cut off by a crash or restart
+        const staleBefore = new Date(Date.now() - TRANSCODE_LOCK_TIMEOUT_MS);
+
+        await Video.updateMany(
+            {
+                "processing.status": "processing",
+                $or: [
+                    { "processing.lockedAt": { $lte: staleBefore } },
+                    // claimed before locks were recorded
+                    { "processing.lockedAt": null, updatedAt: { $lte: staleBefore } }
+                ]
+            },
+            { $set: { "processing.status": "pending" } }
+        );
+
+        await processPendingVideos();
+    } catch (err) {
+        console.log("Error while running transcode job: ", err);
+    }
+}
+
+const startTranscodeJob = (intervalMs = 60 * 1000) => {
+    runTranscodeJob();
+
+    const timer = setInterval(runTranscodeJob, intervalMs);
+    timer.unref();
+
+    return timer;
+}
+
+export { startTranscodeJob, runTranscodeJob };
@@ -0,0 +1,30 @@
+import { Upload } from "../models/upload.model.js";
+import { removeUploadFiles } from "../services/resumableUploadService.js";
+
+const removeExpiredUploads = async () => {
+    try {
+        const uploads = await Upload.find({
+            status: { $in: ["uploading", "completed"] },
+            expiresAt: { $lte: new Date() }
+        }).select("_id");
+
+        for(const upload of uploads){
+            await removeUploadFiles(upload._id);
+            await Upload.deleteOne({ _id: upload._id });
+        }
+    } catch (err) {
+        console.log("Error while removing expired uploads: ", err);
+    }
+}
+
+// partial uploads nobody resumed before they expired
+const startUploadExpiryJob = (intervalMs = 60 * 60 * 1000) => {
+    removeExpiredUploads();
+
+    const timer = setInterval(removeExpiredUploads, intervalMs);
+    timer.unref();
+
+    return timer;
+}
+
+export { startUploadExpiryJob, removeExpiredUploads };
@@ -0,0 +1,29 @@
+import { flushViewCounts } from "../services/viewService.js";
+
+let isFlushing = false;
+
+const flushViews = async () => {
+    // a slow flush is not run over by the next tick
+    if(isFlushing) return;
+    isFlushing = true;
+
+    try {
+        await flushViewCounts();
+    } catch (err) {
+        console.log("Error while flushing view counts: ", err);
+    } finally {
+        isFlushing = false;
+    }
+}
+
+// views recorded since the last run are added to Video.views
+const startViewFlushJob = (intervalMs = 30 * 1000) => {
+    flushViews();
+
+    const timer = setInterval(flushViews, intervalMs);
+    timer.unref();
+
+    return timer;
+}
+
+export { startViewFlushJob, flushViews };
@@ -2,27 +2,109 @@ import { ApiError } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import jwt from "jsonwebtoken";
 import { User } from "../models/user.model.js";
+import { ApiToken } from "../models/apiToken.model.js";
+import { Session } from "../models/session.model.js";
+import { hashToken } from "../utils/hashToken.js";
+import { API_TOKEN_PREFIX } from "../constants.js";
+
+const verifyApiToken = async (req, token) => {
+    // routes that did not declare a scope with apiTokenScope are for logged in sessions only
+    const requiredScope = req.apiTokenScope;
+
+    if(!requiredScope){
+        throw new ApiError(403, "API tokens cannot be used for this endpoint");
+    }
+
+    const apiToken = await ApiToken.findOne({
+        tokenHash: hashToken(token),
+        revokedAt: null
+    });
+
+    if(!apiToken || (apiToken.expiresAt && apiToken.expiresAt <= new Date())){
+        throw new ApiError(401, "Invalid or expired API token");
+    }
+
+    if(!apiToken.scopes.includes(requiredScope)){
+        throw new ApiError(403, `API token is missing the "${requiredScope}" scope`);
+    }
+
+    const user = await User.findById(apiToken.user).select("-password");
+
+    if(!user){
+        throw new ApiError(401, "Invalid or expired API token");
+    }
+
+    // record usage at most once a minute
+    if(!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt.getTime() > 60 * 1000){
+        await ApiToken.updateOne(
+            { _id: apiToken._id },
+            { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } }
+        );
+    }
+
+    req.user = user;
+    req.apiToken = apiToken;
+}
 
 export const verifyJWT = asyncHandler( async (req, _, next) => {
+    const token = req.cookies?.accessToken || req.header("Authorization")?.replace("Bearer ", "")
+
+    // personal access tokens for scripts and integrations
+    if(token?.startsWith(API_TOKEN_PREFIX)){
+        await verifyApiToken(req, token);
+        return next();
+    }
+
     try {
-        const token = req.cookies?.accessToken || req.header("Authorization")?.replace("Bearer ", "")
         if(!token){
             throw new ApiError(401, "Unauthorized request");
         }
-    
+
         const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET)
-    
-        const user = await User.findById(decodedToken?._id).select(
-            "-password -refreshToken"
-        )
-    
+
+        // access tokens die with their session (logout, revoke, password change, refresh token reuse)
+        const session = decodedToken?.sid && await Session.findOne({
+            _id: decodedToken.sid,
+            user: decodedToken._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).select("_id");
+
+        if(!session){
+            throw new ApiError(401, "Session has expired or was revoked");
+        }
+
+        const user = await User.findById(decodedToken?._id).select("-password")
+
         if(!user){
             throw new ApiError(404, "Invalid Access Token");
         }
-    
+
         req.user = user;
+        req.sessionId = decodedToken?.sid;
         next();
     } catch (err) {
         throw new ApiError(401, err?.message || "Invalid Access Token");
     }
+})
+
+// declares the API token scope a route accepts; must run before verifyJWT.
+// "videos" needs "videos:read" for GET/HEAD requests and "videos:write" for everything else
+export const apiTokenScope = (scope) => (req, _, next) => {
+    if(scope.includes(":")){
+        req.apiTokenScope = scope;
+    } else {
+        const isRead = ["GET", "HEAD"].includes(req.method);
+        req.apiTokenScope = `${scope}:${isRead ? "read" : "write"}`;
+    }
+
+    next();
+}
+
+export const requireVerifiedEmail = asyncHandler( async (req, _, next) => {
+    if(!req.user?.isEmailVerified){
+        throw new ApiError(403, "Please verify your email address to continue");
+    }
+
+    next();
 })
\ No newline at end of file
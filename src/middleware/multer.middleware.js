@@ -1,4 +1,6 @@
 import multer from "multer";
+import { getMaxVideoSize } from "../services/mediaValidationService.js";
+import { ApiError } from "../utils/ApiError.js";
 
 const storage = multer.diskStorage({
     destination: function(req, file, cb){
@@ -9,6 +11,24 @@ const storage = multer.diskStorage({
     }
 })
 
-export const upload = multer({
-    storage, 
-})
\ No newline at end of file
+// stops writing to disk past the largest file any route accepts, routes check their own smaller limits
+const multerUpload = multer({
+    storage,
+    limits: { fileSize: getMaxVideoSize() }
+})
+
+// multer errors have no status code, a file over the limit is a 413 and not a 500
+const withUploadErrors = (middleware) => (req, res, next) => {
+    middleware(req, res, (err) => {
+        if(err instanceof multer.MulterError && err.code === "LIMIT_FILE_SIZE"){
+            return next(new ApiError(413, `File is too large, the limit is ${Math.floor(getMaxVideoSize() / 1024 / 1024)} MB`));
+        }
+
+        next(err);
+    })
+}
+
+export const upload = {
+    single: (fieldName) => withUploadErrors(multerUpload.single(fieldName)),
+    fields: (fields) => withUploadErrors(multerUpload.fields(fields))
+}
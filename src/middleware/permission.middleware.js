@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+// must run after verifyJWT
+export const requirePermission = (...permissions) => asyncHandler( async (req, _, next) => {
+    if(!req.user){
+        throw new ApiError(401, "Unauthorized request");
+    }
+
+    if(!permissions.every((permission) => req.user.hasPermission(permission))){
+        throw new ApiError(403, "You do not have permission to perform this action");
+    }
+
+    next();
+})
+
+// loads the resource from `req.params[param]` into `req.resource`; its owner may always act on it,
+// anyone else needs `permission` (e.g. "video:delete:any")
+export const requireOwnerOrPermission = (Model, param, permission) => asyncHandler( async (req, _, next) => {
+    const resourceName = Model.modelName.toLowerCase();
+    const resourceId = req.params[param];
+
+    if(!mongoose.Types.ObjectId.isValid(resourceId)){
+        throw new ApiError(400, `Invalid ${resourceName} id`);
+    }
+
+    const resource = await Model.findById(resourceId);
+
+    if(!resource){
+        throw new ApiError(404, `${Model.modelName} not found`);
+    }
+
+    const isOwner = resource.owner?.toString() === req.user._id.toString();
+
+    if(!isOwner && !req.user.hasPermission(permission)){
+        throw new ApiError(403, `You are not allowed to perform this action on this ${resourceName}`);
+    }
+
+    req.resource = resource;
+    next();
+})
\ No newline at end of file
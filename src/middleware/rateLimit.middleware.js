@@ -0,0 +1,49 @@
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getRateLimitStore } from "../services/rateLimitStore.js";
+
+const keyGenerators = {
+    ip: (req) => `ip:${req.ip}`,
+    // needs verifyJWT before it, falls back to the ip for anonymous requests
+    user: (req) => req.user?._id ? `user:${req.user._id}` : `ip:${req.ip}`
+};
+
+export const tooManyRequests = (retryAfterSeconds, message = "Too many requests. Please try again later") => {
+    return new ApiError(429, message, [], "", { "Retry-After": String(retryAfterSeconds) });
+}
+
+// rateLimit({ prefix: "login", windowMs: 15 * 60 * 1000, max: 10, keyBy: "ip" })
+// keyBy is "ip", "user" or a function (req) => key; store defaults to the configured shared store
+export const rateLimit = ({
+    prefix,
+    windowMs = 60 * 1000,
+    max = 60,
+    keyBy = "ip",
+    store,
+    message
+}) => {
+    const getKey = typeof keyBy === "function" ? keyBy : keyGenerators[keyBy];
+
+    if(!prefix || !getKey){
+        throw new Error("rateLimit needs a prefix and a valid keyBy");
+    }
+
+    return asyncHandler( async (req, res, next) => {
+        const limitStore = store || getRateLimitStore();
+        const { count, resetAt } = await limitStore.increment(`${prefix}:${getKey(req)}`, windowMs);
+
+        const retryAfterSeconds = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+        res.set({
+            "RateLimit-Limit": String(max),
+            "RateLimit-Remaining": String(Math.max(0, max - count)),
+            "RateLimit-Reset": String(retryAfterSeconds)
+        });
+
+        if(count > max){
+            throw tooManyRequests(retryAfterSeconds, message);
+        }
+
+        next();
+    })
+}
\ No newline at end of file
@@ -0,0 +1,46 @@
+import mongoose, {Schema} from "mongoose";
+import { API_TOKEN_SCOPES } from "../constants.js";
+
+const apiTokenSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: [true, "Token name is required"],
+        trim: true
+    },
+    // only the hash is stored, the token itself is shown once on creation
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    // first characters of the token, to recognise it in the list
+    tokenPrefix: {
+        type: String,
+    },
+    scopes: [{
+        type: String,
+        enum: API_TOKEN_SCOPES
+    }],
+    expiresAt: {
+        type: Date,
+    },
+    lastUsedAt: {
+        type: Date,
+    },
+    lastUsedIp: {
+        type: String,
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {timestamps: true})
+
+export const ApiToken = mongoose.model("ApiToken", apiTokenSchema);
\ No newline at end of file
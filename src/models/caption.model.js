@@ -0,0 +1,60 @@
+import mongoose, {Schema} from "mongoose";
+
+// a text track of a video, one per language
+const captionSchema = new Schema({
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video",
+        required: true
+    },
+    // BCP 47 tag, e.g. "en" or "pt-BR"
+    language: {
+        type: String,
+        required: true
+    },
+    label: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // the track players pick when none is chosen
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    // always WebVTT, whatever was uploaded
+    file: {
+        url: {
+            type: String,
+            required: true
+        },
+        public_id: {
+            type: String,
+            required: true
+        },
+        provider: {
+            type: String,
+            default: "cloudinary"
+        }
+    },
+    // format of the uploaded file
+    sourceFormat: {
+        type: String,
+        enum: ["srt", "vtt"]
+    },
+    cueCount: {
+        type: Number,
+        default: 0
+    },
+    // plain text of every cue, searched by the video listing
+    text: {
+        type: String,
+        select: false
+    }
+}, {timestamps: true})
+
+captionSchema.index({video: 1, language: 1}, {unique: true});
+// "language" holds BCP 47 tags, which text indexes would take as their stemming language
+captionSchema.index({text: "text"}, {name: "caption_text", language_override: "textLanguage"});
+
+export const Caption = mongoose.model("Caption", captionSchema);
@@ -0,0 +1,36 @@
+import mongoose, {Schema} from "mongoose";
+
+const dataExportSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    status: {
+        type: String,
+        enum: ["pending", "processing", "ready", "failed", "expired"],
+        default: "pending"
+    },
+    filePath: {
+        type: String,
+        select: false
+    },
+    fileSize: {
+        type: Number,
+    },
+    completedAt: {
+        type: Date,
+    },
+    // download link stops working after this
+    expiresAt: {
+        type: Date,
+    },
+    error: {
+        type: String,
+    }
+}, {timestamps: true})
+
+dataExportSchema.index({status: 1, expiresAt: 1});
+
+export const DataExport = mongoose.model("DataExport", dataExportSchema);
\ No newline at end of file
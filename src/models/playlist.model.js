@@ -22,6 +22,9 @@ const playlistSchema = new Schema({
     }
 }, {timestamps: true});
 
+// playlist search, see searchService
+playlistSchema.index({name: "text", description: "text"}, {name: "playlist_text", weights: {name: 5, description: 1}});
+
 playlistSchema.plugin(mongooseAggregatePaginate);
 
 export const Playlist = mongoose.model("Playlist", playlistSchema);
\ No newline at end of file
@@ -0,0 +1,32 @@
+import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+// one entry per user and query, searching again moves it to the top
+const searchHistorySchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    // as typed, for display
+    query: {
+        type: String,
+        required: true
+    },
+    // lowercase with single spaces, see normalizeSearchQuery
+    normalizedQuery: {
+        type: String,
+        required: true
+    },
+    searchedAt: {
+        type: Date,
+        default: Date.now
+    }
+})
+
+searchHistorySchema.index({ user: 1, normalizedQuery: 1 }, { unique: true });
+searchHistorySchema.index({ user: 1, searchedAt: -1 });
+
+searchHistorySchema.plugin(mongooseAggregatePaginate);
+
+export const SearchHistory = mongoose.model("SearchHistory", searchHistorySchema);
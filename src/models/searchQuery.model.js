@@ -0,0 +1,31 @@
+import mongoose, {Schema} from "mongoose";
+
+// how often a query was searched across all users, feeds autocomplete
+const searchQuerySchema = new Schema({
+    // lowercase with single spaces, see normalizeSearchQuery
+    query: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    // distinct users who searched it, counted up to the point where it is suggested to everyone
+    users: {
+        type: Number,
+        default: 0
+    },
+    // hashed ids of those users, so nobody is counted twice
+    userHashes: {
+        type: [String],
+        select: false
+    },
+    lastSearchedAt: {
+        type: Date,
+        default: Date.now
+    }
+})
+
+export const SearchQuery = mongoose.model("SearchQuery", searchQuerySchema);
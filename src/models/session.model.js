@@ -0,0 +1,46 @@
+import mongoose, {Schema} from "mongoose";
+
+// one session per login (device); the refresh token rotates inside it, so a session is a token family
+const sessionSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    device: {
+        type: String,
+    },
+    ip: {
+        type: String,
+    },
+    userAgent: {
+        type: String,
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+    }
+}, {timestamps: true})
+
+sessionSchema.index({user: 1, revokedAt: 1});
+
+// drop the session once its refresh token can no longer be used
+sessionSchema.index({expiresAt: 1}, {expireAfterSeconds: 0});
+
+export const Session = mongoose.model("Session", sessionSchema);
\ No newline at end of file
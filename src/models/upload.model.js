@@ -0,0 +1,51 @@
+import mongoose, {Schema} from "mongoose";
+
+// a resumable video upload; chunks are kept on disk until it is finalized into a video
+const uploadSchema = new Schema({
+    owner: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    fileName: {
+        type: String,
+        required: true
+    },
+    mimeType: {
+        type: String,
+    },
+    // total length in bytes
+    size: {
+        type: Number,
+        required: true
+    },
+    // bytes received so far
+    offset: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ["uploading", "completed", "finalizing", "finalized"],
+        default: "uploading"
+    },
+    title: {
+        type: String,
+    },
+    description: {
+        type: String,
+    },
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video"
+    },
+    // abandoned uploads are removed after this, every chunk pushes it back
+    expiresAt: {
+        type: Date,
+        required: true,
+        index: true
+    }
+}, {timestamps: true})
+
+export const Upload = mongoose.model("Upload", uploadSchema);
\ No newline at end of file
@@ -1,6 +1,11 @@
 import mongoose, {Schema} from  "mongoose";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
+import crypto from "crypto";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { hashToken } from "../utils/hashToken.js";
+import { verifyTotp } from "../utils/totp.js";
+import { PERMISSIONS, ROLE_PERMISSIONS, USER_ROLES } from "../constants.js";
 
 const userSchema = new Schema({
     username: {
@@ -11,6 +16,21 @@ const userSchema = new Schema({
         trim: true,
         index: true
     },
+    // old handles stay reserved for this user so /c/:oldname keeps resolving to the channel
+    previousUsernames: [{
+        username: {
+            type: String,
+            lowercase: true,
+            trim: true
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    usernameChangedAt: {
+        type: Date,
+    },
     email: {
         type: String,
         required: true,
@@ -18,20 +38,30 @@ const userSchema = new Schema({
         lowercase: true,
         trim: true,
     },
+    // requested new email, it replaces email once the link sent to it is opened
+    pendingEmail: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
     fullName: {
         type: String,
         required: true,
         trim: true,
         index: true
     },
+    // missing for social login accounts whose provider picture could not be imported
     avatar: {
         url: {
-            type: String,
-            required: true
+            type: String
         },
         public_id: {
+            type: String
+        },
+        // storage provider holding the file, see storageService
+        provider: {
             type: String,
-            required: true
+            default: "cloudinary"
         }
     },
     coverImage: {
@@ -40,6 +70,9 @@ const userSchema = new Schema({
         },
         public_id: {
             type: String
+        },
+        provider: {
+            type: String
         }
     },
     watchHistory: [{
@@ -52,31 +85,202 @@ const userSchema = new Schema({
             default: Date.now()
         }
     }],
+    // searches are not added to the search history while paused
+    searchHistoryPaused: {
+        type: Boolean,
+        default: false
+    },
     password: {
         type: String,
-        required: [true, "Password is required"]
+        // accounts created through social login may have no password
+        required: [function(){ return !this.oauthAccounts?.length }, "Password is required"]
     },
-    refreshToken: {
+    oauthAccounts: [{
+        provider: {
+            type: String,
+            required: true
+        },
+        providerUserId: {
+            type: String,
+            required: true
+        },
+        email: {
+            type: String,
+        },
+        linkedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    role: {
+        type: String,
+        enum: USER_ROLES,
+        default: "user"
+    },
+    // extra permissions granted on top of the role
+    permissions: [{
+        type: String,
+        enum: PERMISSIONS
+    }],
+    isEmailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerificationToken: {
+        type: String,
+        select: false
+    },
+    passwordResetToken: {
         type: String,
+        select: false
+    },
+    // progressive lockout after repeated failed logins
+    failedLoginAttempts: {
+        type: Number,
+        default: 0,
+        select: false
+    },
+    lockUntil: {
+        type: Date,
+        select: false
+    },
+    // set while a requested account deletion is in its grace period
+    deletionRequestedAt: {
+        type: Date,
+    },
+    deletionScheduledFor: {
+        type: Date,
+        index: true
+    },
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            select: false
+        },
+        // secret waiting to be confirmed with a first code
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        recoveryCodes: {
+            type: [String],
+            select: false
+        },
+        // last accepted time step, so a code cannot be replayed
+        lastUsedStep: {
+            type: Number,
+            select: false
+        }
     }
 }, {timestamps: true})
 
+userSchema.index(
+    { "oauthAccounts.provider": 1, "oauthAccounts.providerUserId": 1 },
+    { unique: true, partialFilterExpression: { "oauthAccounts.providerUserId": { $exists: true } } }
+);
+
+userSchema.index({ "previousUsernames.username": 1 });
+
+// channel search, see searchService
+userSchema.index({ username: "text", fullName: "text" }, { name: "channel_text" });
+
 userSchema.pre("save", async function(){
     if(!this.isModified("password")) return;
     this.password = await bcrypt.hash(this.password, 10);
 })
 
 userSchema.methods.isPasswordCorrect = async function(password){
+    if(!this.password || !password) return false;
     return await bcrypt.compare(password, this.password);
 }
 
-userSchema.methods.generateAccessToken = function(){
+userSchema.methods.hasPermission = function(permission){
+    const rolePermissions = ROLE_PERMISSIONS[this.role] || [];
+    return rolePermissions.includes(permission) || Boolean(this.permissions?.includes(permission));
+}
+
+// a username is taken while it is someone's current or previous handle
+userSchema.statics.isUsernameTaken = async function(username, exceptUserId){
+    const taken = await this.exists({
+        $or: [
+            { username },
+            { "previousUsernames.username": username }
+        ],
+        ...(exceptUserId ? { _id: { $ne: exceptUserId } } : {})
+    });
+
+    return Boolean(taken);
+}
+
+// remaining lock time in ms, 0 when the account is not locked
+userSchema.methods.getLoginLockRemaining = function(){
+    return this.lockUntil ? Math.max(0, this.lockUntil.getTime() - Date.now()) : 0;
+}
+
+// after MAX_FAILED_LOGINS failures the lock starts at 1 minute and doubles with every further failure, up to a day.
+// counted and locked in one update, so parallel failures cannot overwrite each other's count
+userSchema.methods.registerFailedLogin = async function(){
+    const maxFailedLogins = Number(process.env.MAX_FAILED_LOGINS) || 5;
+
+    const updated = await this.constructor.findOneAndUpdate(
+        { _id: this._id },
+        [
+            {
+                $set: {
+                    failedLoginAttempts: { $add: [{ $ifNull: ["$failedLoginAttempts", 0] }, 1] }
+                }
+            },
+            {
+                $set: {
+                    lockUntil: {
+                        $cond: [
+                            { $gte: ["$failedLoginAttempts", maxFailedLogins] },
+                            {
+                                $add: [
+                                    "$$NOW",
+                                    {
+                                        $min: [
+                                            { $multiply: [60 * 1000, { $pow: [2, { $subtract: ["$failedLoginAttempts", maxFailedLogins] }] }] },
+                                            24 * 60 * 60 * 1000
+                                        ]
+                                    }
+                                ]
+                            },
+                            "$lockUntil"
+                        ]
+                    }
+                }
+            }
+        ],
+        { new: true, updatePipeline: true }
+    ).select("+failedLoginAttempts +lockUntil");
+
+    if(updated){
+        this.failedLoginAttempts = updated.failedLoginAttempts;
+        this.lockUntil = updated.lockUntil;
+    }
+}
+
+userSchema.methods.resetFailedLogins = async function(){
+    if(!this.failedLoginAttempts && !this.lockUntil) return;
+
+    this.failedLoginAttempts = 0;
+    this.lockUntil = undefined;
+    await this.save({ validateBeforeSave: false });
+}
+
+userSchema.methods.generateAccessToken = function(sessionId){
     return jwt.sign(
         {
             _id: this._id,
             email: this.email,
             username: this.username,
-            fullName: this.fullName
+            fullName: this.fullName,
+            sid: sessionId
         },
         process.env.ACCESS_TOKEN_SECRET,
         {
@@ -85,16 +289,108 @@ userSchema.methods.generateAccessToken = function(){
     )
 }
 
-userSchema.methods.generateRefreshToken = function(){
+userSchema.methods.generateRefreshToken = function(sessionId){
     return jwt.sign(
         {
             _id: this._id,
+            sid: sessionId
         },
         process.env.REFRESH_TOKEN_SECRET,
         {
-            expiresIn: process.env.REFRESH_TOKEN_EXPIRY
+            expiresIn: process.env.REFRESH_TOKEN_EXPIRY,
+            // unique per rotation so a reused token can be told apart from the current one
+            jwtid: crypto.randomUUID()
+        }
+    )
+}
+
+// signed, expiring and single use: only the hash of the latest token is kept on the user.
+// email is the address being verified, the pending one for email changes
+userSchema.methods.generateEmailVerificationToken = function(email = this.email){
+    const token = jwt.sign(
+        {
+            _id: this._id,
+            email,
+            purpose: "email-verification"
+        },
+        process.env.EMAIL_VERIFICATION_TOKEN_SECRET,
+        {
+            expiresIn: process.env.EMAIL_VERIFICATION_TOKEN_EXPIRY || "1d"
         }
     )
+
+    this.emailVerificationToken = hashToken(token);
+    return token;
 }
 
+userSchema.methods.generatePasswordResetToken = function(){
+    const token = jwt.sign(
+        {
+            _id: this._id,
+            purpose: "password-reset"
+        },
+        process.env.PASSWORD_RESET_TOKEN_SECRET,
+        {
+            expiresIn: process.env.PASSWORD_RESET_TOKEN_EXPIRY || "15m"
+        }
+    )
+
+    this.passwordResetToken = hashToken(token);
+    return token;
+}
+
+// one-time recovery codes, only their hashes are stored
+userSchema.methods.generateRecoveryCodes = function(count = 10){
+    const codes = Array.from({length: count}, () => {
+        const code = crypto.randomBytes(5).toString("hex");
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+
+    this.twoFactor.recoveryCodes = codes.map((code) => hashToken(code));
+    return codes;
+}
+
+// needs "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep" selected, caller saves the user
+userSchema.methods.verifyTwoFactorCode = function({code, recoveryCode}){
+    if(code){
+        const timeStep = verifyTotp(this.twoFactor.secret, code);
+
+        if(timeStep === null || timeStep <= (this.twoFactor.lastUsedStep ?? -1)){
+            return false;
+        }
+
+        this.twoFactor.lastUsedStep = timeStep;
+        return true;
+    }
+
+    if(recoveryCode){
+        const recoveryCodeHash = hashToken(recoveryCode.trim().toLowerCase());
+        const index = this.twoFactor.recoveryCodes.indexOf(recoveryCodeHash);
+
+        if(index === -1){
+            return false;
+        }
+
+        this.twoFactor.recoveryCodes.splice(index, 1);
+        return true;
+    }
+
+    return false;
+}
+
+userSchema.methods.generateTwoFactorChallengeToken = function(){
+    return jwt.sign(
+        {
+            _id: this._id,
+            purpose: "2fa-challenge"
+        },
+        process.env.TWO_FACTOR_CHALLENGE_SECRET,
+        {
+            expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || "5m"
+        }
+    )
+}
+
+userSchema.plugin(mongooseAggregatePaginate);
+
 export const User = mongoose.model("User", userSchema);
\ No newline at end of file
@@ -1,27 +1,54 @@
 import mongoose, {Schema} from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { VIDEO_CATEGORIES, VIDEO_PROCESSING_STATUSES, VIDEO_VISIBILITIES } from "../constants.js";
+
+// resized copy of a thumbnail, see THUMBNAIL_VARIANTS
+const thumbnailVariantSchema = new Schema({
+    name: String,
+    width: Number,
+    height: Number,
+    url: String,
+    public_id: String
+}, {_id: false})
 
 const videoSchema = new Schema({
+    // the original upload, stored once transcoding is done
     videoFile: {
         url: {
             type: String,
-            required: [true, "Video file is required"],
         },
         public_id: {
             type: String,
-            required: true
+        },
+        // storage provider holding the file, see storageService
+        provider: {
+            type: String,
+            default: "cloudinary"
         }
     },
+    // uploaded by the creator or picked from thumbnailCandidates; set by the transcode job when missing
     thumbnail: {
         url: {
             type: String,
-            required: [true, "Thumbnail is required"],
         },
         public_id: {
             type: String,
-            required: true
-        }
+        },
+        provider: {
+            type: String,
+            default: "cloudinary"
+        },
+        variants: [thumbnailVariantSchema]
     },
+    // frames extracted by the transcode job
+    thumbnailCandidates: [{
+        url: String,
+        public_id: String,
+        provider: String,
+        // seconds into the video
+        time: Number,
+        variants: [thumbnailVariantSchema]
+    }],
     title: {
         type: String,
         required: [true, "Title is required"],
@@ -31,21 +58,144 @@ const videoSchema = new Schema({
         type: String,
         required: [true, "Description is required"],
     },
+    // lowercase, see utils/tags.js
+    tags: {
+        type: [String],
+        index: true
+    },
+    category: {
+        type: String,
+        enum: VIDEO_CATEGORIES.map((category) => category.slug),
+        index: true
+    },
     duration: {
         type: Number,
         required: [true, "Duration is required"],
     },
+    // sorted by start, the first one starts at 0; a chapter ends where the next one starts
+    chapters: [{
+        _id: false,
+        // seconds
+        start: Number,
+        title: String
+    }],
+    // "description" chapters follow description edits, "manual" ones were set through the API
+    chaptersSource: {
+        type: String,
+        enum: ["description", "manual"],
+        default: "description"
+    },
+    // probed from the uploaded file
+    metadata: {
+        container: String,
+        videoCodec: String,
+        audioCodec: String,
+        width: Number,
+        height: Number,
+        frameRate: Number,
+        // bit/s
+        bitrate: Number,
+        // bytes
+        size: Number
+    },
+    // counted views, the view flush job adds new ones from ViewEvent in batches
     views: {
         type: Number,
         default: 0,
     },
-    viewedBy: [{
+    // HLS (and optionally DASH) output, every file lives under prefix
+    streaming: {
+        provider: {
+            type: String
+        },
+        prefix: {
+            type: String
+        },
+        hls: {
+            url: {
+                type: String
+            },
+            public_id: {
+                type: String
+            }
+        },
+        dash: {
+            url: {
+                type: String
+            },
+            public_id: {
+                type: String
+            }
+        },
+        renditions: [{
+            _id: false,
+            name: String,
+            width: Number,
+            height: Number,
+            // kbit/s
+            videoBitrate: Number,
+            audioBitrate: Number,
+            playlistUrl: String
+        }]
+    },
+    // videos uploaded before transcoding existed are playable as they are
+    processing: {
+        status: {
+            type: String,
+            enum: VIDEO_PROCESSING_STATUSES,
+            default: "ready"
+        },
+        progress: {
+            type: Number,
+            default: 0
+        },
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        error: {
+            type: String
+        },
+        startedAt: {
+            type: Date
+        },
+        completedAt: {
+            type: Date
+        },
+        // renewed by the worker transcoding the video, see transcodeService
+        lockedAt: {
+            type: Date
+        },
+        // uploaded file waiting on this server's disk for the transcode job
+        sourcePath: {
+            type: String,
+            select: false
+        }
+    },
+    // only "public" videos show up in listings, feeds and suggestions
+    visibility: {
+        type: String,
+        enum: VIDEO_VISIBILITIES,
+        default: "private",
+        index: true
+    },
+    // users who may watch the video while it is private
+    sharedWith: [{
         type: Schema.Types.ObjectId,
         ref: "User"
     }],
-    isPublished: {
+    // the scheduled publish job makes the video public at this time, then clears it
+    publishAt: {
+        type: Date,
+        index: true
+    },
+    publishedAt: {
+        type: Date
+    },
+    // the video page shows a countdown until publishAt
+    isPremiere: {
         type: Boolean,
-        default: false,
+        default: false
     },
     owner: {
         type: Schema.Types.ObjectId,
@@ -54,6 +204,12 @@ const videoSchema = new Schema({
 }, {timestamps: true})
 
 videoSchema.index({owner: 1});
+videoSchema.index({"processing.status": 1});
+// full-text search, see searchService
+videoSchema.index(
+    {title: "text", tags: "text", description: "text"},
+    {name: "video_text", weights: {title: 10, tags: 5, description: 1}}
+);
 
 videoSchema.plugin(mongooseAggregatePaginate);
 
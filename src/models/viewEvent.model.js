@@ -0,0 +1,53 @@
+import mongoose, {Schema} from "mongoose";
+
+// one counted (or rejected) view; Video.views is the sum of the counted ones, added in batches
+const viewEventSchema = new Schema({
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video",
+        required: true
+    },
+    // "user:<id>", or "anon:<hash of ip and user agent>" for visitors without an account
+    viewerKey: {
+        type: String,
+        required: true
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User"
+    },
+    // dedup window the view fell into, a viewer counts once per window and video
+    window: {
+        type: Number,
+        required: true
+    },
+    // rejected by bot filtering, kept so the viewer's rate keeps being measured
+    isBot: {
+        type: Boolean,
+        default: false
+    },
+    // set when the view was added to Video.views
+    countedAt: {
+        type: Date,
+        default: null
+    },
+    // flush run that claimed the event
+    flushId: {
+        type: String
+    },
+    // removed by mongodb after the retention period
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {timestamps: true})
+
+viewEventSchema.index({ video: 1, viewerKey: 1, window: 1 }, { unique: true });
+viewEventSchema.index({ video: 1, viewerKey: 1, createdAt: -1 });
+viewEventSchema.index({ viewerKey: 1, createdAt: -1 });
+viewEventSchema.index({ countedAt: 1, isBot: 1 });
+viewEventSchema.index({ flushId: 1 }, { sparse: true });
+viewEventSchema.index({ user: 1 }, { sparse: true });
+viewEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const ViewEvent = mongoose.model("ViewEvent", viewEventSchema);
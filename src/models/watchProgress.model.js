@@ -0,0 +1,38 @@
+import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+// where a user stopped in a video, written by the player heartbeat
+const watchProgressSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video",
+        required: true
+    },
+    // seconds
+    position: {
+        type: Number,
+        default: 0
+    },
+    // video duration when the position was saved, seconds
+    duration: {
+        type: Number,
+        default: 0
+    },
+    // watched to the end, players start these from the beginning again
+    completed: {
+        type: Boolean,
+        default: false
+    }
+}, {timestamps: true})
+
+watchProgressSchema.index({ user: 1, video: 1 }, { unique: true });
+watchProgressSchema.index({ user: 1, completed: 1, updatedAt: -1 });
+
+watchProgressSchema.plugin(mongooseAggregatePaginate);
+
+export const WatchProgress = mongoose.model("WatchProgress", watchProgressSchema);
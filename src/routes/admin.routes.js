@@ -0,0 +1,15 @@
+import { Router } from "express";
+import { verifyJWT } from "../middleware/auth.middleware.js";
+import { requirePermission } from "../middleware/permission.middleware.js";
+import { 
+    getAllUsers, 
+    updateUserRole 
+} from "../controllers/admin.controller.js";
+
+const router = Router();
+router.use(verifyJWT);
+
+router.route("/users").get(requirePermission("user:read:any"), getAllUsers);
+router.route("/users/:userId/role").patch(requirePermission("user:manage"), updateUserRole);
+
+export default router;
\ No newline at end of file
@@ -1,16 +1,19 @@
 import { Router } from "express";
-import { verifyJWT } from "../middleware/auth.middleware.js";
+import { apiTokenScope, verifyJWT } from "../middleware/auth.middleware.js";
 import { 
     addComment, 
     deleteComment, 
     getVideoComments, 
     updateComment 
 } from "../controllers/comment.controller.js";
+import { rateLimit } from "../middleware/rateLimit.middleware.js";
 
 const router = Router();
-router.use(verifyJWT);
+router.use(apiTokenScope("comments"), verifyJWT);
 
-router.route("/:videoId").get(getVideoComments).post(addComment);
+const addCommentLimiter = rateLimit({ prefix: "add-comment", windowMs: 60 * 1000, max: 10, keyBy: "user" });
+
+router.route("/:videoId").get(getVideoComments).post(addCommentLimiter, addComment);
 router.route("/c/:commentId").patch(updateComment).delete(deleteComment);
 
 export default router;
\ No newline at end of file
@@ -1,12 +1,12 @@
 import { Router } from "express";
-import { verifyJWT } from "../middleware/auth.middleware.js";
+import { apiTokenScope, verifyJWT } from "../middleware/auth.middleware.js";
 import { 
     getChannelStats, 
     getChannelVideos 
 } from "../controllers/dashboard.controller.js";
 
 const router = Router();
-router.use(verifyJWT);
+router.use(apiTokenScope("dashboard"), verifyJWT);
 
 router.route("/stats").get(getChannelStats);
 router.route("/videos").get(getChannelVideos);
@@ -1,9 +1,9 @@
 import { Router } from "express";
-import { verifyJWT } from "../middleware/auth.middleware.js";
+import { apiTokenScope, verifyJWT } from "../middleware/auth.middleware.js";
 import { getHomeFeed } from "../controllers/home.controller.js";
 
 const router = Router();
-router.use(verifyJWT);
+router.use(apiTokenScope("feed"), verifyJWT);
 
 router.route("/").get(getHomeFeed);
 
@@ -1,18 +1,21 @@
 import { Router } from "express";
-import { verifyJWT } from "../middleware/auth.middleware.js";
+import { apiTokenScope, verifyJWT } from "../middleware/auth.middleware.js";
 import { 
     getLikedVideos, 
     toggleCommentLike, 
     toggleTweetLike, 
     toggleVideoLike 
 } from "../controllers/like.controller.js";
+import { rateLimit } from "../middleware/rateLimit.middleware.js";
 
 const router = Router();
-router.use(verifyJWT);
+router.use(apiTokenScope("likes"), verifyJWT);
 
-router.route("/toggle/v/:videoId").post(toggleVideoLike);
-router.route("/toggle/c/:commentId").post(toggleCommentLike);
-router.route("/toggle/t/:tweetId").post(toggleTweetLike);
+const toggleLimiter = rateLimit({ prefix: "like-toggle", windowMs: 60 * 1000, max: 30, keyBy: "user" });
+
+router.route("/toggle/v/:videoId").post(toggleLimiter, toggleVideoLike);
+router.route("/toggle/c/:commentId").post(toggleLimiter, toggleCommentLike);
+router.route("/toggle/t/:tweetId").post(toggleLimiter, toggleTweetLike);
 router.route("/videos").get(getLikedVideos);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,11 @@
+import { Router } from "express";
+import { apiTokenScope } from "../middleware/auth.middleware.js";
+import { authorizeLocalMedia, getLocalMedia, getSignedMedia } from "../controllers/media.controller.js";
+
+// files stored by the local storage provider
+const router = Router();
+
+router.route("/signed/:token").get(getSignedMedia);
+router.route("/*path").get(apiTokenScope("videos"), authorizeLocalMedia, getLocalMedia);
+
+export default router;
@@ -1,5 +1,5 @@
 import { Router } from "express";
-import { verifyJWT } from "../middleware/auth.middleware.js";
+import { apiTokenScope, verifyJWT } from "../middleware/auth.middleware.js";
 import { 
     addVideoToPlaylist, 
     createPlaylist, 
@@ -11,7 +11,7 @@ import {
 } from "../controllers/playlist.controller.js";
 
 const router = Router();
-router.use(verifyJWT);
+router.use(apiTokenScope("playlists"), verifyJWT);
 
 router.route("/").post(createPlaylist);
 
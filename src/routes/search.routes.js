@@ -0,0 +1,28 @@
+import { Router } from "express";
+import { apiTokenScope, verifyJWT } from "../middleware/auth.middleware.js";
+import {
+    clearSearchHistory,
+    deleteSearchHistoryEntry,
+    getSearchHistory,
+    getSuggestions,
+    search,
+    updateSearchHistoryPause
+} from "../controllers/search.controller.js";
+
+const router = Router();
+router.use(apiTokenScope("search"), verifyJWT);
+
+router.route("/").get(search);
+
+router.route("/suggestions").get(getSuggestions);
+
+router
+    .route("/history")
+    .get(getSearchHistory)
+    .delete(clearSearchHistory);
+
+router.route("/history/pause").patch(updateSearchHistoryPause);
+
+router.route("/history/:entryId").delete(deleteSearchHistoryEntry);
+
+export default router;
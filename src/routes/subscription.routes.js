@@ -1,11 +1,14 @@
 import { Router } from "express";
-import { verifyJWT } from "../middleware/auth.middleware.js";
+import { apiTokenScope, verifyJWT } from "../middleware/auth.middleware.js";
 import { getSubscribedChannels, getUserChannelSubscribers, toggleSubscription } from "../controllers/subscription.controller.js";
+import { rateLimit } from "../middleware/rateLimit.middleware.js";
 
 const router = Router();
-router.use(verifyJWT);
+router.use(apiTokenScope("subscriptions"), verifyJWT);
 
-router.route("/c/:channelId").post(toggleSubscription).get(getUserChannelSubscribers);
+const toggleLimiter = rateLimit({ prefix: "subscription-toggle", windowMs: 60 * 1000, max: 20, keyBy: "user" });
+
+router.route("/c/:channelId").post(toggleLimiter, toggleSubscription).get(getUserChannelSubscribers);
 router.route("/u/:subscriberId").get(getSubscribedChannels);
 
 export default router;
\ No newline at end of file
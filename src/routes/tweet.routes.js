@@ -1,17 +1,22 @@
 import { Router } from "express";
-import { verifyJWT } from "../middleware/auth.middleware.js";
+import { apiTokenScope, verifyJWT } from "../middleware/auth.middleware.js";
 import { 
     createTweet, 
     getUserTweets, 
     updateTweet,
     deleteTweet 
 } from "../controllers/tweet.controller.js";
+import { requireOwnerOrPermission } from "../middleware/permission.middleware.js";
+import { Tweet } from "../models/tweet.model.js";
 
 const router = Router();
-router.use(verifyJWT);
+router.use(apiTokenScope("tweets"), verifyJWT);
 
 router.route("/").post(createTweet);
 router.route("/user/:userId").get(getUserTweets);
-router.route("/:tweetId").patch(updateTweet).delete(deleteTweet);
+router
+    .route("/:tweetId")
+    .patch(updateTweet)
+    .delete(requireOwnerOrPermission(Tweet, "tweetId", "tweet:delete:any"), deleteTweet);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,25 @@
+import { Router } from "express";
+import { apiTokenScope, requireVerifiedEmail, verifyJWT } from "../middleware/auth.middleware.js";
+import { 
+    abortUpload, 
+    createUpload, 
+    finalizeUpload, 
+    getUploadStatus, 
+    uploadChunk 
+} from "../controllers/upload.controller.js";
+import { upload } from "../middleware/multer.middleware.js";
+
+const router = Router();
+router.use(apiTokenScope("videos"), verifyJWT);
+
+router.route("/").post(requireVerifiedEmail, createUpload);
+
+router
+    .route("/:uploadId")
+    .get(getUploadStatus)
+    .patch(uploadChunk)
+    .delete(abortUpload);
+
+router.route("/:uploadId/finalize").post(upload.single("thumbnail"), finalizeUpload);
+
+export default router;
@@ -1,23 +1,63 @@
 import { Router } from "express";
 import { 
+    cancelAccountDeletion,
     changeCurrentUserPassword,
+    changeUsername,
+    completeTwoFactorLogin,
+    disableTwoFactor,
+    enableTwoFactor,
+    forgotPassword,
     getCurrentUser,
+    getUserSessions,
     getUserChannelProfile, 
+    getOAuthProviders,
     getWatchHistory, 
+    getContinueWatching, 
+    linkOAuthAccount,
     loginUser,
     logoutUser, 
+    oauthCallback,
+    oauthLogin,
     refreshAccessToken, 
+    regenerateRecoveryCodes,
     registerUser, 
+    requestAccountDeletion,
+    requestEmailVerification,
+    revokeOtherSessions,
+    revokeSession,
+    setupTwoFactor,
+    unlinkOAuthAccount,
+    resetPassword,
     updateAccountDetails, 
     updateUserAvatar, 
-    updateUserCoverImage 
+    updateUserCoverImage,
+    verifyEmail
 } from "../controllers/user.controller.js";
+import { 
+    downloadDataExport, 
+    getDataExportById, 
+    getDataExports, 
+    requestDataExport 
+} from "../controllers/dataExport.controller.js";
+import { 
+    createApiToken, 
+    getApiTokens, 
+    revokeApiToken 
+} from "../controllers/apiToken.controller.js";
 import { upload } from "../middleware/multer.middleware.js"
-import { verifyJWT } from "../middleware/auth.middleware.js";
+import { apiTokenScope, verifyJWT } from "../middleware/auth.middleware.js";
+import { rateLimit } from "../middleware/rateLimit.middleware.js";
 
 const router = Router();
 
+const loginLimiter = rateLimit({ prefix: "login", windowMs: 15 * 60 * 1000, max: 20 });
+const registerLimiter = rateLimit({ prefix: "register", windowMs: 60 * 60 * 1000, max: 10 });
+const refreshLimiter = rateLimit({ prefix: "refresh-token", windowMs: 60 * 1000, max: 30 });
+// mails and one time tokens
+const accountRecoveryLimiter = rateLimit({ prefix: "account-recovery", windowMs: 15 * 60 * 1000, max: 10 });
+
 router.route("/register").post(
+    registerLimiter,
     upload.fields([
         {
             name: "avatar",
@@ -31,17 +71,41 @@ router.route("/register").post(
     registerUser
 );
 
-router.route("/login").post(loginUser);
+router.route("/login").post(loginLimiter, loginUser);
+router.route("/login/2fa").post(loginLimiter, completeTwoFactorLogin);
+router.route("/oauth/providers").get(getOAuthProviders);
+router.route("/oauth/:provider").get(oauthLogin).delete(verifyJWT, unlinkOAuthAccount);
+router.route("/oauth/:provider/callback").get(oauthCallback);
+router.route("/oauth/:provider/link").post(verifyJWT, linkOAuthAccount);
+router.route("/verify-email").post(accountRecoveryLimiter, verifyEmail);
+router.route("/forgot-password").post(accountRecoveryLimiter, forgotPassword);
+router.route("/reset-password").post(accountRecoveryLimiter, resetPassword);
 
 //secure route
 router.route("/logout").post(verifyJWT, logoutUser);
-router.route("/refresh-token").post(refreshAccessToken);
+router.route("/refresh-token").post(refreshLimiter, refreshAccessToken);
 router.route("/change-password").post(verifyJWT, changeCurrentUserPassword);
-router.route("/current-user").get(verifyJWT, getCurrentUser);
-router.route("/update-account").patch(verifyJWT, updateAccountDetails);
-router.route("/avatar").patch(verifyJWT, upload.single("avatar"), updateUserAvatar);
-router.route("/cover-image").patch(verifyJWT, upload.single("coverImage"), updateUserCoverImage);
-router.route("/c/:username").get(verifyJWT, getUserChannelProfile);
-router.route("/history").get(verifyJWT, getWatchHistory);
+router.route("/sessions").get(verifyJWT, getUserSessions).delete(verifyJWT, revokeOtherSessions);
+router.route("/sessions/:sessionId").delete(verifyJWT, revokeSession);
+router.route("/2fa/setup").post(verifyJWT, setupTwoFactor);
+router.route("/2fa/enable").post(verifyJWT, enableTwoFactor);
+router.route("/2fa/disable").post(verifyJWT, disableTwoFactor);
+router.route("/2fa/recovery-codes").post(verifyJWT, regenerateRecoveryCodes);
+router.route("/verify-email/request").post(verifyJWT, accountRecoveryLimiter, requestEmailVerification);
+router.route("/current-user").get(apiTokenScope("profile"), verifyJWT, getCurrentUser);
+router.route("/update-account").patch(apiTokenScope("profile"), verifyJWT, updateAccountDetails);
+router.route("/username").patch(verifyJWT, changeUsername);
+router.route("/avatar").patch(apiTokenScope("profile"), verifyJWT, upload.single("avatar"), updateUserAvatar);
+router.route("/cover-image").patch(apiTokenScope("profile"), verifyJWT, upload.single("coverImage"), updateUserCoverImage);
+router.route("/c/:username").get(apiTokenScope("profile"), verifyJWT, getUserChannelProfile);
+router.route("/history").get(apiTokenScope("profile"), verifyJWT, getWatchHistory);
+router.route("/continue-watching").get(apiTokenScope("profile"), verifyJWT, getContinueWatching);
+router.route("/account").delete(verifyJWT, requestAccountDeletion);
+router.route("/account/cancel-deletion").post(verifyJWT, cancelAccountDeletion);
+router.route("/export").post(verifyJWT, requestDataExport).get(verifyJWT, getDataExports);
+router.route("/export/download/:token").get(downloadDataExport);
+router.route("/export/:exportId").get(verifyJWT, getDataExportById);
+router.route("/tokens").post(verifyJWT, createApiToken).get(verifyJWT, getApiTokens);
+router.route("/tokens/:tokenId").delete(verifyJWT, revokeApiToken);
 
 export default router;
\ No newline at end of file
@@ -1,23 +1,45 @@
 import { Router } from "express";
-import { verifyJWT } from "../middleware/auth.middleware.js";
+import { apiTokenScope, requireVerifiedEmail, verifyJWT } from "../middleware/auth.middleware.js";
 import { 
     deleteVideo, 
+    deleteVideoChapters, 
     getAllVideos, 
+    getCategoryVideos, 
+    getPopularTags, 
+    getTagVideos, 
+    getVideoCategories, 
     getSuggestedVideos, 
+    getThumbnailCandidates, 
     getVideoById, 
+    getVideoProcessingStatus, 
     publishAVideo, 
+    selectThumbnailCandidate, 
+    streamVideo, 
     togglePublishStatus, 
-    updateVideo 
+    updateVideo, 
+    updateVideoChapters, 
+    updateVideoVisibility, 
+    updateWatchProgress 
 } from "../controllers/video.contoller.js";
+import { 
+    addCaption, 
+    deleteCaption, 
+    getCaptionFile, 
+    getVideoCaptions, 
+    updateCaption 
+} from "../controllers/caption.controller.js";
 import { upload } from "../middleware/multer.middleware.js";
+import { requireOwnerOrPermission } from "../middleware/permission.middleware.js";
+import { Video } from "../models/video.model.js";
 
 const router = Router();
-router.use(verifyJWT);
+router.use(apiTokenScope("videos"), verifyJWT);
 
 router
     .route("/")
     .get(getAllVideos)
     .post(
+        requireVerifiedEmail,
         upload.fields([
             {
                 name: "videoFile",
@@ -31,14 +53,70 @@ router
         publishAVideo
     );
 
+// before "/:videoId" so these paths are not taken for video ids
+router.route("/categories").get(getVideoCategories);
+router.route("/categories/:category").get(getCategoryVideos);
+router.route("/tags/popular").get(getPopularTags);
+router.route("/tags/:tag").get(getTagVideos);
+
 router
     .route("/:videoId")
     .get(getVideoById)
-    .delete(deleteVideo)
-    .patch(upload.single("thumbnail"), updateVideo);
+    .delete(requireOwnerOrPermission(Video, "videoId", "video:delete:any"), deleteVideo)
+    .patch(
+        requireOwnerOrPermission(Video, "videoId", "video:update:any"),
+        upload.single("thumbnail"),
+        updateVideo
+    );
+
+router
+    .route("/:videoId/processing")
+    .get(requireOwnerOrPermission(Video, "videoId", "video:update:any"), getVideoProcessingStatus);
+
+router.route("/:videoId/stream").get(streamVideo);
+
+router.route("/:videoId/progress").put(updateWatchProgress);
+
+router
+    .route("/:videoId/chapters")
+    .put(requireOwnerOrPermission(Video, "videoId", "video:update:any"), updateVideoChapters)
+    .delete(requireOwnerOrPermission(Video, "videoId", "video:update:any"), deleteVideoChapters);
+
+router
+    .route("/:videoId/thumbnails")
+    .get(requireOwnerOrPermission(Video, "videoId", "video:update:any"), getThumbnailCandidates);
+
+router
+    .route("/:videoId/thumbnail")
+    .patch(requireOwnerOrPermission(Video, "videoId", "video:update:any"), selectThumbnailCandidate);
+
+router
+    .route("/:videoId/captions")
+    .get(getVideoCaptions)
+    .post(
+        requireOwnerOrPermission(Video, "videoId", "video:update:any"),
+        upload.single("captionFile"),
+        addCaption
+    );
+
+router
+    .route("/:videoId/captions/:language")
+    .get(getCaptionFile)
+    .patch(
+        requireOwnerOrPermission(Video, "videoId", "video:update:any"),
+        upload.single("captionFile"),
+        updateCaption
+    )
+    .delete(requireOwnerOrPermission(Video, "videoId", "video:update:any"), deleteCaption);
 
 router.route("/suggested/:videoId").get(getSuggestedVideos);
 
-router.route("/toggle/publish/:videoId").patch(togglePublishStatus);
+router
+    .route("/:videoId/visibility")
+    .patch(requireOwnerOrPermission(Video, "videoId", "video:update:any"), updateVideoVisibility);
+
+router
+    .route("/toggle/publish/:videoId")
+    .patch(requireOwnerOrPermission(Video, "videoId", "video:update:any"), togglePublishStatus);
 
 export default router;
\ No newline at end of file
@@ -1,8 +1,21 @@
 import connectDB from "./db/index.js";
 import { app } from "./app.js";
+import { startAccountDeletionJob } from "./jobs/accountDeletion.job.js";
+import { startDataExportJob } from "./jobs/dataExport.job.js";
+import { startUploadExpiryJob } from "./jobs/uploadExpiry.job.js";
+import { startTranscodeJob } from "./jobs/transcode.job.js";
+import { startScheduledPublishJob } from "./jobs/scheduledPublish.job.js";
+import { startViewFlushJob } from "./jobs/viewFlush.job.js";
 
 connectDB()
 .then(() => {
+    startAccountDeletionJob();
+    startDataExportJob();
+    startUploadExpiryJob();
+    startTranscodeJob();
+    startScheduledPublishJob();
+    startViewFlushJob();
+
     app.listen(process.env.PORT || 8000, () => {
         console.log(`Server is running on port ${process.env.PORT}`);
     })
@@ -0,0 +1,131 @@
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { Like } from "../models/like.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { Session } from "../models/session.model.js";
+import { ApiToken } from "../models/apiToken.model.js";
+import { Upload } from "../models/upload.model.js";
+import { Caption } from "../models/caption.model.js";
+import { SearchHistory } from "../models/searchHistory.model.js";
+import { WatchProgress } from "../models/watchProgress.model.js";
+import { ViewEvent } from "../models/viewEvent.model.js";
+import { deleteFile, deleteFolder } from "./storageService.js";
+import { removeTranscodeFiles } from "./transcodeService.js";
+import { deleteThumbnail } from "./thumbnailService.js";
+import { removeUploadFiles } from "./resumableUploadService.js";
+import { deleteUserDataExports } from "./dataExportService.js";
+
+// removes videos with their media and everything pointing at them
+const deleteVideosWithReferences = async (videos) => {
+    const videoIds = videos.map((video) => video._id);
+
+    if(!videoIds.length) return;
+
+    // delete media from storage
+    for(const video of videos){
+        await deleteThumbnail(video.thumbnail);
+
+        // the chosen thumbnail may be one of the candidates
+        for(const candidate of video.thumbnailCandidates || []){
+            if(candidate.public_id !== video.thumbnail?.public_id) await deleteThumbnail(candidate);
+        }
+
+        await deleteFile(video.videoFile, "video");
+        await deleteFolder(video.streaming);
+
+        for(const caption of await Caption.find({ video: video._id }).select("file")){
+            await deleteFile(caption.file, "raw");
+        }
+
+        // still waiting for, or being, transcoded
+        await removeTranscodeFiles(video._id);
+    }
+
+    const commentIds = await Comment.find({ video: { $in: videoIds } }).distinct("_id");
+
+    await Promise.all([
+        // likes on the videos and on their comments
+        Like.deleteMany({
+            $or: [
+                { video: { $in: videoIds } },
+                { comment: { $in: commentIds } }
+            ]
+        }),
+        Comment.deleteMany({ video: { $in: videoIds } }),
+        Caption.deleteMany({ video: { $in: videoIds } }),
+        WatchProgress.deleteMany({ video: { $in: videoIds } }),
+        ViewEvent.deleteMany({ video: { $in: videoIds } }),
+        // other users' playlists and watch history
+        Playlist.updateMany(
+            { videos: { $in: videoIds } },
+            { $pull: { videos: { $in: videoIds } } }
+        ),
+        User.updateMany(
+            { "watchHistory.video": { $in: videoIds } },
+            { $pull: { watchHistory: { video: { $in: videoIds } } } }
+        )
+    ]);
+
+    await Video.deleteMany({ _id: { $in: videoIds } });
+}
+
+// removes a user and all of their content, used once the deletion grace period is over
+const deleteUserAccount = async (user) => {
+    const userId = user._id;
+
+    const videos = await Video.find({ owner: userId }).select("videoFile thumbnail thumbnailCandidates streaming");
+    await deleteVideosWithReferences(videos);
+
+    const uploadIds = await Upload.find({ owner: userId }).distinct("_id");
+
+    for(const uploadId of uploadIds){
+        await removeUploadFiles(uploadId);
+    }
+
+    const [commentIds, tweetIds] = await Promise.all([
+        Comment.find({ owner: userId }).distinct("_id"),
+        Tweet.find({ owner: userId }).distinct("_id")
+    ]);
+
+    await Promise.all([
+        // their likes, and other users' likes on their comments and tweets
+        Like.deleteMany({
+            $or: [
+                { likedBy: userId },
+                { comment: { $in: commentIds } },
+                { tweet: { $in: tweetIds } }
+            ]
+        }),
+        Comment.deleteMany({ owner: userId }),
+        Tweet.deleteMany({ owner: userId }),
+        Playlist.deleteMany({ owner: userId }),
+        Subscription.deleteMany({
+            $or: [
+                { subscriber: userId },
+                { channel: userId }
+            ]
+        }),
+        Session.deleteMany({ user: userId }),
+        ApiToken.deleteMany({ user: userId }),
+        Upload.deleteMany({ owner: userId }),
+        SearchHistory.deleteMany({ user: userId }),
+        WatchProgress.deleteMany({ user: userId }),
+        // views already added to Video.views stay counted
+        ViewEvent.deleteMany({ user: userId }),
+        // other creators' private videos shared with them, the ids count towards MAX_SHARED_USERS
+        Video.updateMany({ sharedWith: userId }, { $pull: { sharedWith: userId } })
+    ]);
+
+    // their personal data archives
+    await deleteUserDataExports(userId);
+
+    await deleteFile(user.avatar, "image");
+    await deleteFile(user.coverImage, "image");
+
+    await User.findByIdAndDelete(userId);
+}
+
+export { deleteVideosWithReferences, deleteUserAccount };
\ No newline at end of file
@@ -1,36 +1,82 @@
 import {v2 as cloudinary} from "cloudinary";
-import fs from "fs";
 
-cloudinary.config({ 
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME, 
-    api_key: process.env.CLOUDINARY_API_KEY, 
-    api_secret: process.env.CLOUDINARY_API_SECRET 
+cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET
 });
 
-const uploadOnCloudinary = async (localFilePath) => {
-    try{
-        if(!localFilePath) return;
-        const response = await cloudinary.uploader.upload(localFilePath, {
-            resource_type: "auto",
-        })
-        // console.log("File uploaded to Cloudinary successfully", response.url);
-        fs.unlinkSync(localFilePath);
-        return response;
-    } catch(err){
-        if(fs.existsSync(localFilePath)) fs.unlinkSync(localFilePath);
-        return null;
-    }
-}
+// storage provider backed by Cloudinary, used through storageService
+const cloudinaryStorage = {
+    // keyed files (playlists, segments) are stored as raw files so the key keeps its path and extension.
+    // images and videos get their extension from cloudinary, the key is stored without it
+    put: async (localFilePath, {key, resourceType = "raw"} = {}) => {
+        const response = await cloudinary.uploader.upload(localFilePath, key
+            ? {
+                  resource_type: resourceType,
+                  public_id: resourceType === "raw" ? key : key.replace(/\.[^/.]+$/, ""),
+                  overwrite: true
+              }
+            : {
+                  resource_type: "auto",
+              })
 
-const deleteOnCloudinary = async (publicId, resourceType = "image") => {
-    try{
-        if(!publicId) return;
+        return {
+            url: response.url,
+            public_id: response.public_id,
+            duration: response.duration,
+            bytes: response.bytes
+        };
+    },
+
+    delete: async (publicId, resourceType = "image") => {
         await cloudinary.uploader.destroy(publicId, {
             resource_type: resourceType
         })
-    } catch(err){
-        console.log("Error while deleting on avatar: ", err);
+    },
+
+    deletePrefix: async (prefix) => {
+        // at most 1000 files go per call
+        let response;
+
+        do {
+            response = await cloudinary.api.delete_resources_by_prefix(prefix, {
+                resource_type: "raw"
+            });
+        } while (response?.partial);
+    },
+
+    // delivery urls only expire when token based authentication is enabled on the account
+    getSignedUrl: async (publicId, {resourceType = "image", expiresIn = 60 * 60} = {}) => {
+        return cloudinary.url(publicId, {
+            resource_type: resourceType,
+            secure: true,
+            sign_url: true,
+            ...(process.env.CLOUDINARY_AUTH_TOKEN_KEY && {
+                auth_token: {
+                    key: process.env.CLOUDINARY_AUTH_TOKEN_KEY,
+                    duration: expiresIn
+                }
+            })
+        });
+    },
+
+    stat: async (publicId, resourceType = "image") => {
+        try {
+            const resource = await cloudinary.api.resource(publicId, {
+                resource_type: resourceType
+            });
+
+            return {
+                size: resource.bytes,
+                format: resource.format,
+                createdAt: new Date(resource.created_at)
+            };
+        } catch (err) {
+            if(err?.error?.http_code === 404) return null;
+            throw err;
+        }
     }
-}
+};
 
-export {uploadOnCloudinary, deleteOnCloudinary};
\ No newline at end of file
+export { cloudinaryStorage };
\ No newline at end of file
@@ -0,0 +1,243 @@
+import fs from "fs";
+import path from "path";
+import jwt from "jsonwebtoken";
+import { ZipArchive } from "archiver";
+import { DataExport } from "../models/dataExport.model.js";
+import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
+import { Video } from "../models/video.model.js";
+import { Like } from "../models/like.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { SearchHistory } from "../models/searchHistory.model.js";
+import { WatchProgress } from "../models/watchProgress.model.js";
+import { sendMail } from "./mailService.js";
+import { escapeHtml } from "../utils/html.js";
+
+const getExportDir = () => process.env.DATA_EXPORT_DIR || "./exports";
+
+const getExportExpiryHours = () => Number(process.env.DATA_EXPORT_EXPIRY_HOURS) || 48;
+
+const README = `VidStream Pro - personal data export
+
+profile.json         account details (without password or security secrets)
+sessions.json        devices currently or recently signed in
+watch-history.json   videos you watched and when
+watch-progress.json  where you stopped in videos you started
+videos.json          videos you uploaded, with links to the media files
+likes.json           videos, comments and tweets you liked
+comments.json        comments you wrote
+tweets.json          tweets you posted
+playlists.json       playlists you created
+subscriptions.json   channels you subscribe to and your subscribers
+search-history.json  what you searched and when
+`;
+
+// everything stored about a user, grouped by archive file
+const collectUserData = async (userId) => {
+    const [
+        user,
+        sessions,
+        videos,
+        likes,
+        comments,
+        tweets,
+        playlists,
+        subscribedTo,
+        subscribers,
+        searchHistory,
+        watchProgress
+    ] = await Promise.all([
+        User.findById(userId)
+            .select("-password")
+            .populate("watchHistory.video", "title videoFile.url")
+            .lean(),
+        Session.find({ user: userId })
+            .select("device ip userAgent lastUsedAt createdAt expiresAt revokedAt")
+            .lean(),
+        Video.find({ owner: userId })
+            .select("title description duration views visibility videoFile.url thumbnail.url createdAt updatedAt")
+            .lean(),
+        Like.find({ likedBy: userId })
+            .select("video comment tweet createdAt")
+            .lean(),
+        Comment.find({ owner: userId })
+            .select("content video createdAt updatedAt")
+            .lean(),
+        Tweet.find({ owner: userId })
+            .select("content createdAt updatedAt")
+            .lean(),
+        Playlist.find({ owner: userId })
+            .select("name description videos createdAt updatedAt")
+            .lean(),
+        Subscription.find({ subscriber: userId })
+            .populate("channel", "username fullName")
+            .select("channel createdAt")
+            .lean(),
+        Subscription.find({ channel: userId })
+            .populate("subscriber", "username fullName")
+            .select("subscriber createdAt")
+            .lean(),
+        SearchHistory.find({ user: userId })
+            .sort({ searchedAt: -1 })
+            .select("-_id query searchedAt")
+            .lean(),
+        WatchProgress.find({ user: userId })
+            .sort({ updatedAt: -1 })
+            .select("-_id video position duration completed updatedAt")
+            .lean()
+    ]);
+
+    if(!user){
+        throw new Error("User not found");
+    }
+
+    const { watchHistory, ...profile } = user;
+
+    return {
+        "profile.json": profile,
+        "sessions.json": sessions,
+        "watch-history.json": watchHistory.map((entry) => ({
+            video: entry.video?._id || null,
+            title: entry.video?.title || "(deleted video)",
+            url: entry.video?.videoFile?.url || null,
+            watchedAt: entry.watchedAt
+        })),
+        "watch-progress.json": watchProgress,
+        "videos.json": videos,
+        "likes.json": likes,
+        "comments.json": comments,
+        "tweets.json": tweets,
+        "playlists.json": playlists,
+        "subscriptions.json": {
+            subscribedTo: subscribedTo.map((s) => ({ channel: s.channel, subscribedAt: s.createdAt })),
+            subscribers: subscribers.map((s) => ({ subscriber: s.subscriber, subscribedAt: s.createdAt }))
+        },
+        "search-history.json": searchHistory
+    };
+}
+
+const writeArchive = (filePath, files) => {
+    return new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(filePath);
+        const archive = new ZipArchive({ zlib: { level: 9 } });
+
+        output.on("close", resolve);
+        archive.on("error", reject);
+
+        archive.pipe(output);
+        archive.append(README, { name: "README.txt" });
+
+        for(const [name, content] of Object.entries(files)){
+            archive.append(JSON.stringify(content, null, 2), { name });
+        }
+
+        archive.finalize();
+    });
+}
+
+// signed link that stays valid until the archive expires
+const generateExportDownloadToken = (dataExport) => {
+    const expiresIn = Math.max(1, Math.floor((dataExport.expiresAt.getTime() - Date.now()) / 1000));
+
+    return jwt.sign(
+        {
+            exportId: dataExport._id,
+            purpose: "data-export"
+        },
+        process.env.DATA_EXPORT_TOKEN_SECRET,
+        { expiresIn }
+    )
+}
+
+const buildExportDownloadUrl = (dataExport) => {
+    const baseUrl = process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 8000}`;
+    return `${baseUrl}/api/v1/users/export/download/${generateExportDownloadToken(dataExport)}`;
+}
+
+const processDataExport = async (exportId) => {
+    // claim the export so it is never built twice
+    const dataExport = await DataExport.findOneAndUpdate(
+        { _id: exportId, status: "pending" },
+        { $set: { status: "processing" } },
+        { new: true }
+    );
+
+    if(!dataExport) return;
+
+    try {
+        const files = await collectUserData(dataExport.user);
+
+        await fs.promises.mkdir(getExportDir(), { recursive: true });
+        const filePath = path.join(getExportDir(), `${dataExport._id}.zip`);
+        await writeArchive(filePath, files);
+
+        const { size } = await fs.promises.stat(filePath);
+
+        dataExport.status = "ready";
+        dataExport.filePath = filePath;
+        dataExport.fileSize = size;
+        dataExport.completedAt = new Date();
+        dataExport.expiresAt = new Date(Date.now() + getExportExpiryHours() * 60 * 60 * 1000);
+        await dataExport.save();
+
+        const user = files["profile.json"];
+
+        try {
+            const link = buildExportDownloadUrl(dataExport);
+
+            await sendMail({
+                to: user.email,
+                subject: "Your data export is ready",
+                text: `Hi ${user.fullName},\n\nYour data export is ready. Download it here:\n${link}\n\nThe link expires on ${dataExport.expiresAt.toUTCString()}.`,
+                html: `<p>Hi ${escapeHtml(user.fullName)},</p><p>Your data export is ready. Download it here:</p><p><a href="${link}">${link}</a></p><p>The link expires on ${dataExport.expiresAt.toUTCString()}.</p>`
+            });
+        } catch (err) {
+            console.log("Error while sending data export email: ", err);
+        }
+    } catch (err) {
+        console.log("Error while building data export: ", err);
+
+        dataExport.status = "failed";
+        dataExport.error = err?.message;
+        await dataExport.save();
+    }
+}
+
+// removes archives whose download link has expired
+const expireDataExports = async () => {
+    const expiredExports = await DataExport.find({
+        status: "ready",
+        expiresAt: { $lte: new Date() }
+    }).select("+filePath");
+
+    for(const dataExport of expiredExports){
+        await fs.promises.rm(dataExport.filePath, { force: true });
+
+        dataExport.status = "expired";
+        dataExport.filePath = undefined;
+        await dataExport.save();
+    }
+}
+
+// removes every export of a user with its archive, used when the account is deleted
+const deleteUserDataExports = async (userId) => {
+    const dataExports = await DataExport.find({ user: userId }).select("+filePath");
+
+    for(const dataExport of dataExports){
+        // an archive still being written has no filePath yet
+        await fs.promises.rm(dataExport.filePath || path.join(getExportDir(), `${dataExport._id}.zip`), { force: true });
+    }
+
+    await DataExport.deleteMany({ user: userId });
+}
+
+export {
+    collectUserData,
+    processDataExport,
+    expireDataExports,
+    deleteUserDataExports,
+    buildExportDownloadUrl
+};
\ No newline at end of file
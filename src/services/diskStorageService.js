@@ -0,0 +1,79 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+// files are served from /media, see media.routes.js
+const getStorageDir = () => process.env.STORAGE_LOCAL_DIR || "./storage";
+
+const getMediaBaseUrl = () => {
+    const baseUrl = process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 8000}`;
+    return process.env.STORAGE_LOCAL_BASE_URL || `${baseUrl}/media`;
+}
+
+// public ids are relative paths inside the storage dir, e.g. "videos/<id>/hls/master.m3u8"
+const resolveFilePath = (publicId) => {
+    const relativePath = path.posix.normalize(publicId || "");
+
+    if(!publicId || relativePath.startsWith("/") || relativePath.split("/").includes("..")){
+        throw new Error(`Invalid public id: ${publicId}`);
+    }
+
+    return path.join(getStorageDir(), relativePath);
+}
+
+// storage provider keeping files on the local disk, for development and offline setups
+const diskStorage = {
+    put: async (localFilePath, {key} = {}) => {
+        const publicId = key || `${crypto.randomUUID()}${path.extname(localFilePath).toLowerCase()}`;
+
+        await fs.promises.mkdir(path.dirname(resolveFilePath(publicId)), { recursive: true });
+        await fs.promises.copyFile(localFilePath, resolveFilePath(publicId));
+
+        const { size } = await fs.promises.stat(resolveFilePath(publicId));
+
+        return {
+            url: `${getMediaBaseUrl()}/${publicId}`,
+            public_id: publicId,
+            bytes: size
+        };
+    },
+
+    delete: async (publicId) => {
+        await fs.promises.rm(resolveFilePath(publicId), { force: true });
+    },
+
+    deletePrefix: async (prefix) => {
+        await fs.promises.rm(resolveFilePath(prefix), { recursive: true, force: true });
+    },
+
+    getSignedUrl: async (publicId, {expiresIn = 60 * 60} = {}) => {
+        const token = jwt.sign(
+            {
+                publicId,
+                purpose: "media"
+            },
+            process.env.STORAGE_SIGNING_SECRET,
+            { expiresIn }
+        );
+
+        return `${getMediaBaseUrl()}/signed/${token}`;
+    },
+
+    stat: async (publicId) => {
+        try {
+            const stats = await fs.promises.stat(resolveFilePath(publicId));
+
+            return {
+                size: stats.size,
+                format: path.extname(publicId).slice(1),
+                createdAt: stats.birthtime
+            };
+        } catch (err) {
+            if(err.code === "ENOENT") return null;
+            throw err;
+        }
+    }
+};
+
+export { diskStorage, getStorageDir, resolveFilePath };
\ No newline at end of file
@@ -0,0 +1,96 @@
+import nodemailer from "nodemailer";
+import fs from "fs";
+import path from "path";
+import { escapeHtml } from "../utils/html.js";
+
+// transports receive a normalized message {from, to, subject, text, html}
+const transports = {
+    console: async (message) => {
+        console.log("\n----- MAIL -----");
+        console.log(`From: ${message.from}`);
+        console.log(`To: ${message.to}`);
+        console.log(`Subject: ${message.subject}`);
+        console.log(`\n${message.text}`);
+        console.log("----------------\n");
+    },
+    file: async (message) => {
+        const outputDir = process.env.MAIL_OUTPUT_DIR || "./mail-outbox";
+        await fs.promises.mkdir(outputDir, { recursive: true });
+
+        const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, "_")}.json`;
+        await fs.promises.writeFile(
+            path.join(outputDir, fileName),
+            JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+        );
+    },
+    smtp: async (message) => {
+        const transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === "true",
+            auth: process.env.SMTP_USER
+                ? {
+                      user: process.env.SMTP_USER,
+                      pass: process.env.SMTP_PASSWORD
+                  }
+                : undefined
+        });
+
+        await transporter.sendMail(message);
+    }
+};
+
+// allow other transports (queues, third party APIs) to be plugged in
+const registerMailTransport = (name, transport) => {
+    if(typeof transport !== "function"){
+        throw new Error("Mail transport must be a function");
+    }
+    transports[name] = transport;
+}
+
+const sendMail = async ({to, subject, text, html}) => {
+    const transportName = process.env.MAIL_TRANSPORT || "console";
+    const transport = transports[transportName];
+
+    if(!transport){
+        throw new Error(`Unknown mail transport: ${transportName}`);
+    }
+
+    await transport({
+        from: process.env.MAIL_FROM || "VidStream Pro <no-reply@vidstream.local>",
+        to,
+        subject,
+        text,
+        html
+    });
+}
+
+const buildClientLink = (pathname, token) => {
+    const baseUrl = process.env.CLIENT_URL || process.env.CORS_ORIGIN || "http://localhost:5173";
+    return `${baseUrl}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+// email is the address being verified, when it is not the one on the account yet
+const sendVerificationEmail = async (user, token, email = user.email) => {
+    const link = buildClientLink("/verify-email", token);
+
+    await sendMail({
+        to: email,
+        subject: "Verify your email address",
+        text: `Hi ${user.fullName},\n\nPlease verify your email address by opening the link below:\n${link}\n\nIf you did not create an account, you can ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.fullName)},</p><p>Please verify your email address by opening the link below:</p><p><a href="${link}">${link}</a></p><p>If you did not create an account, you can ignore this email.</p>`
+    });
+}
+
+const sendPasswordResetEmail = async (user, token) => {
+    const link = buildClientLink("/reset-password", token);
+
+    await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: `Hi ${user.fullName},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n${link}\n\nIf you did not request a password reset, you can ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.fullName)},</p><p>We received a request to reset your password. Open the link below to choose a new one:</p><p><a href="${link}">${link}</a></p><p>If you did not request a password reset, you can ignore this email.</p>`
+    });
+}
+
+export { sendMail, registerMailTransport, sendVerificationEmail, sendPasswordResetEmail };
\ No newline at end of file
@@ -0,0 +1,88 @@
+import fs from "fs";
+import { ALLOWED_VIDEO_CODECS, ALLOWED_VIDEO_CONTAINERS } from "../constants.js";
+import { ApiError } from "../utils/ApiError.js";
+import { probeMedia, runFfmpeg } from "../utils/ffmpeg.js";
+
+const getMaxVideoSize = () => (Number(process.env.MAX_VIDEO_SIZE_MB) || 5 * 1024) * 1024 * 1024;
+
+const getMaxVideoDuration = () => (Number(process.env.MAX_VIDEO_DURATION_MINUTES) || 12 * 60) * 60;
+
+// 8K
+const MAX_VIDEO_DIMENSION = 7680;
+
+// decodes the first seconds, catches truncated or garbled files that still have valid headers
+const checkDecodable = (filePath) => {
+    return runFfmpeg([
+        "-v", "error",
+        "-xerror",
+        "-t", "3",
+        "-i", filePath,
+        "-map", "0:v:0",
+        "-f", "null",
+        "-"
+    ]);
+}
+
+// checks an uploaded video by its content, never its name; resolves with the metadata stored on the video
+const validateVideoFile = async (filePath) => {
+    const { size } = await fs.promises.stat(filePath);
+
+    if(size > getMaxVideoSize()){
+        throw new ApiError(413, `Video is too large, the limit is ${Math.floor(getMaxVideoSize() / 1024 / 1024)} MB`);
+    }
+
+    let media;
+
+    try {
+        media = await probeMedia(filePath);
+    } catch (err) {
+        // ffprobe missing is our problem, not the uploader's
+        if(err.code === "ENOENT") throw err;
+        throw new ApiError(415, "File is not a video or is corrupt");
+    }
+
+    const containers = (media.container || "").split(",");
+
+    if(!media.hasVideo || !containers.some((container) => ALLOWED_VIDEO_CONTAINERS.includes(container))){
+        throw new ApiError(415, `Unsupported file type${media.container ? ` (${media.container})` : ""}, upload an MP4, MOV, WebM, MKV, AVI, FLV, MPEG-TS or Ogg video`);
+    }
+
+    if(!ALLOWED_VIDEO_CODECS.includes(media.videoCodec)){
+        throw new ApiError(415, `Unsupported video codec ${media.videoCodec}`);
+    }
+
+    if(!media.duration || !media.width || !media.height){
+        throw new ApiError(400, "Could not read the video duration or resolution, the file may be corrupt");
+    }
+
+    if(media.duration > getMaxVideoDuration()){
+        throw new ApiError(413, `Video is too long, the limit is ${Math.floor(getMaxVideoDuration() / 60)} minutes`);
+    }
+
+    if(Math.max(media.width, media.height) > MAX_VIDEO_DIMENSION){
+        throw new ApiError(413, `Video resolution ${media.width}x${media.height} is above the supported maximum`);
+    }
+
+    try {
+        await checkDecodable(filePath);
+    } catch (err) {
+        if(err.code === "ENOENT") throw err;
+        throw new ApiError(400, "Video file is corrupt");
+    }
+
+    return {
+        duration: media.duration,
+        metadata: {
+            container: media.container,
+            videoCodec: media.videoCodec,
+            audioCodec: media.audioCodec,
+            width: media.width,
+            height: media.height,
+            frameRate: media.frameRate,
+            bitrate: media.bitrate,
+            size
+        }
+    };
+}
+
+export { getMaxVideoSize, validateVideoFile };
\ No newline at end of file
@@ -0,0 +1,196 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import jwt from "jsonwebtoken";
+
+// providers are configured through env, e.g. for OAUTH_PROVIDERS=google,mock:
+//   OAUTH_GOOGLE_ISSUER=https://accounts.google.com       (OIDC discovery)
+//   OAUTH_GOOGLE_CLIENT_ID / OAUTH_GOOGLE_CLIENT_SECRET
+//   OAUTH_GITHUB_AUTHORIZATION_URL / _TOKEN_URL / _USERINFO_URL (plain OAuth2, no discovery)
+//   OAUTH_<NAME>_SCOPE                                      (default "openid email profile")
+const discoveryCache = new Map();
+
+const getEnabledProviders = () => {
+    return (process.env.OAUTH_PROVIDERS || "")
+        .split(",")
+        .map((name) => name.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+const getProviderConfig = (name) => {
+    if(!getEnabledProviders().includes(name)){
+        return null;
+    }
+
+    const prefix = `OAUTH_${name.toUpperCase()}_`;
+
+    return {
+        name,
+        issuer: process.env[`${prefix}ISSUER`],
+        clientId: process.env[`${prefix}CLIENT_ID`],
+        clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+        authorizationUrl: process.env[`${prefix}AUTHORIZATION_URL`],
+        tokenUrl: process.env[`${prefix}TOKEN_URL`],
+        userInfoUrl: process.env[`${prefix}USERINFO_URL`],
+        scope: process.env[`${prefix}SCOPE`] || "openid email profile",
+        redirectUri: `${process.env.OAUTH_REDIRECT_BASE_URL || `http://localhost:${process.env.PORT || 8000}`}/api/v1/users/oauth/${name}/callback`
+    };
+}
+
+// fills missing endpoints from the issuer's openid-configuration
+const resolveEndpoints = async (provider) => {
+    if(provider.authorizationUrl && provider.tokenUrl && provider.userInfoUrl){
+        return provider;
+    }
+
+    if(!provider.issuer){
+        throw new Error(`OAuth provider "${provider.name}" has no issuer or endpoints configured`);
+    }
+
+    if(!discoveryCache.has(provider.issuer)){
+        const response = await fetch(`${provider.issuer.replace(/\/$/, "")}/.well-known/openid-configuration`);
+
+        if(!response.ok){
+            throw new Error(`OIDC discovery failed for "${provider.name}" with status ${response.status}`);
+        }
+
+        discoveryCache.set(provider.issuer, await response.json());
+    }
+
+    const discovery = discoveryCache.get(provider.issuer);
+
+    return {
+        ...provider,
+        authorizationUrl: provider.authorizationUrl || discovery.authorization_endpoint,
+        tokenUrl: provider.tokenUrl || discovery.token_endpoint,
+        userInfoUrl: provider.userInfoUrl || discovery.userinfo_endpoint
+    };
+}
+
+const base64Url = (buffer) => buffer.toString("base64url");
+
+// state, nonce and PKCE verifier/challenge (S256) for one authorization request
+const createAuthorizationRequest = () => {
+    const codeVerifier = base64Url(crypto.randomBytes(32));
+
+    return {
+        state: base64Url(crypto.randomBytes(16)),
+        nonce: base64Url(crypto.randomBytes(16)),
+        codeVerifier,
+        codeChallenge: base64Url(crypto.createHash("sha256").update(codeVerifier).digest())
+    };
+}
+
+const buildAuthorizationUrl = async (provider, {state, nonce, codeChallenge}) => {
+    const { authorizationUrl } = await resolveEndpoints(provider);
+
+    const params = new URLSearchParams({
+        response_type: "code",
+        client_id: provider.clientId,
+        redirect_uri: provider.redirectUri,
+        scope: provider.scope,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: "S256"
+    });
+
+    return `${authorizationUrl}?${params.toString()}`;
+}
+
+// the id_token has to carry the nonce of this flow, so a token issued for another login cannot be replayed
+const assertIdTokenNonce = (idToken, nonce) => {
+    const claims = jwt.decode(idToken);
+
+    if(!claims?.nonce || !nonce || claims.nonce.length !== nonce.length
+        || !crypto.timingSafeEqual(Buffer.from(claims.nonce), Buffer.from(nonce))){
+        throw new Error("ID token nonce does not match the login request");
+    }
+}
+
+// plain OAuth2 providers return no id_token, only OIDC ones are held to the nonce
+const exchangeAuthorizationCode = async (provider, {code, codeVerifier, nonce}) => {
+    const { tokenUrl } = await resolveEndpoints(provider);
+
+    const response = await fetch(tokenUrl, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/x-www-form-urlencoded",
+            Accept: "application/json"
+        },
+        body: new URLSearchParams({
+            grant_type: "authorization_code",
+            code,
+            redirect_uri: provider.redirectUri,
+            client_id: provider.clientId,
+            client_secret: provider.clientSecret || "",
+            code_verifier: codeVerifier
+        })
+    });
+
+    const tokens = await response.json().catch(() => ({}));
+
+    if(!response.ok || !tokens.access_token){
+        throw new Error(tokens.error_description || tokens.error || "Token exchange failed");
+    }
+
+    if(tokens.id_token){
+        assertIdTokenNonce(tokens.id_token, nonce);
+    }
+
+    return tokens;
+}
+
+// the profile is read from the userinfo endpoint with the access token, so it comes straight
+// from the provider over TLS and the id_token signature does not need to be checked here
+const fetchUserProfile = async (provider, accessToken) => {
+    const { userInfoUrl } = await resolveEndpoints(provider);
+
+    const response = await fetch(userInfoUrl, {
+        headers: {
+            Authorization: `Bearer ${accessToken}`,
+            Accept: "application/json"
+        }
+    });
+
+    if(!response.ok){
+        throw new Error(`Could not fetch user profile from "${provider.name}"`);
+    }
+
+    const profile = await response.json();
+
+    // normalize OIDC claims and common plain OAuth2 shapes (e.g. GitHub)
+    return {
+        providerUserId: String(profile.sub ?? profile.id ?? ""),
+        email: profile.email?.toLowerCase(),
+        emailVerified: profile.email_verified === true || profile.email_verified === "true",
+        name: profile.name || profile.login || profile.preferred_username,
+        username: profile.preferred_username || profile.login || profile.nickname,
+        picture: profile.picture || profile.avatar_url
+    };
+}
+
+// downloads a remote image into public/temp so it can go through uploadFile
+const downloadToTemp = async (url) => {
+    const response = await fetch(url);
+
+    if(!response.ok){
+        throw new Error(`Could not download ${url}`);
+    }
+
+    const extension = response.headers.get("content-type")?.split("/")[1]?.split(";")[0] || "img";
+    const localFilePath = path.join("./public/temp", `${Date.now()}-oauth-avatar.${extension}`);
+    await fs.promises.writeFile(localFilePath, Buffer.from(await response.arrayBuffer()));
+
+    return localFilePath;
+}
+
+export {
+    getEnabledProviders,
+    getProviderConfig,
+    createAuthorizationRequest,
+    buildAuthorizationUrl,
+    exchangeAuthorizationCode,
+    fetchUserProfile,
+    downloadToTemp
+};
\ No newline at end of file
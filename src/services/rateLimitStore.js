@@ -0,0 +1,89 @@
+import { RateLimit } from "../models/rateLimit.model.js";
+
+// Stores count hits per key in fixed windows. A store implements:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>
+//   reset(key)               -> Promise<void>
+
+// per process, fine for a single instance
+class MemoryStore {
+    constructor(){
+        this.hits = new Map();
+
+        // drop finished windows
+        this.sweeper = setInterval(() => {
+            const now = Date.now();
+            for(const [key, entry] of this.hits){
+                if(entry.resetAt <= now) this.hits.delete(key);
+            }
+        }, 60 * 1000);
+        this.sweeper.unref();
+    }
+
+    async increment(key, windowMs){
+        const now = Date.now();
+        let entry = this.hits.get(key);
+
+        if(!entry || entry.resetAt <= now){
+            entry = { count: 0, resetAt: now + windowMs };
+            this.hits.set(key, entry);
+        }
+
+        entry.count += 1;
+        return { count: entry.count, resetAt: entry.resetAt };
+    }
+
+    async reset(key){
+        this.hits.delete(key);
+    }
+}
+
+// shared between instances through mongodb, windows are aligned to the clock
+class MongoStore {
+    async increment(key, windowMs){
+        const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+        const resetAt = windowStart + windowMs;
+
+        const entry = await RateLimit.findOneAndUpdate(
+            { key: `${key}:${windowStart}` },
+            {
+                $inc: { count: 1 },
+                $setOnInsert: { expiresAt: new Date(resetAt) }
+            },
+            { upsert: true, new: true }
+        );
+
+        return { count: entry.count, resetAt };
+    }
+
+    async reset(key){
+        await RateLimit.deleteMany({ key: { $regex: `^${key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}:` } });
+    }
+}
+
+const stores = {
+    memory: () => new MemoryStore(),
+    mongo: () => new MongoStore()
+};
+
+let defaultStore;
+
+const getRateLimitStore = () => {
+    if(!defaultStore){
+        const storeName = process.env.RATE_LIMIT_STORE || "memory";
+
+        if(!stores[storeName]){
+            throw new Error(`Unknown rate limit store: ${storeName}`);
+        }
+
+        defaultStore = stores[storeName]();
+    }
+
+    return defaultStore;
+}
+
+// plug in another shared store (e.g. redis) that implements increment and reset
+const setRateLimitStore = (store) => {
+    defaultStore = store;
+}
+
+export { MemoryStore, MongoStore, getRateLimitStore, setRateLimitStore };
\ No newline at end of file
@@ -0,0 +1,111 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { ApiError } from "../utils/ApiError.js";
+
+// chunks live outside ./public so partial uploads are never served
+const getUploadsDir = () => process.env.RESUMABLE_UPLOAD_DIR || "./uploads-tmp";
+
+const getUploadDir = (uploadId) => path.join(getUploadsDir(), uploadId.toString());
+
+const getMaxChunkSize = () => (Number(process.env.UPLOAD_MAX_CHUNK_SIZE_MB) || 50) * 1024 * 1024;
+
+const getUploadExpiresAt = () => new Date(Date.now() + (Number(process.env.UPLOAD_EXPIRY_HOURS) || 24) * 60 * 60 * 1000);
+
+const CHECKSUM_ALGORITHMS = ["sha1", "sha256", "md5"];
+
+// "Upload-Checksum: sha256 <base64 digest>", as in the tus checksum extension
+const parseChecksumHeader = (header) => {
+    const [algorithm, digest] = (header || "").trim().split(/\s+/);
+
+    if(!CHECKSUM_ALGORITHMS.includes(algorithm?.toLowerCase()) || !digest){
+        return null;
+    }
+
+    return { algorithm: algorithm.toLowerCase(), digest };
+}
+
+const padOffset = (offset) => String(offset).padStart(15, "0");
+
+// streams a request body into a new chunk file next to the others, hashing it on the way
+const receiveChunk = async (req, uploadId, {offset, maxLength, algorithm}) => {
+    const uploadDir = getUploadDir(uploadId);
+    await fs.promises.mkdir(uploadDir, { recursive: true });
+
+    // unique name, two requests racing for the same offset must not write into one file
+    const chunkPath = path.join(uploadDir, `${padOffset(offset)}-${crypto.randomUUID()}.incoming`);
+    const hash = crypto.createHash(algorithm);
+    let length = 0;
+
+    const meter = new Transform({
+        transform(data, _, callback){
+            length += data.length;
+
+            if(length > maxLength){
+                return callback(new ApiError(413, `Chunk is larger than the ${maxLength} bytes allowed`));
+            }
+
+            hash.update(data);
+            callback(null, data);
+        }
+    });
+
+    try {
+        await pipeline(req, meter, fs.createWriteStream(chunkPath));
+    } catch (err) {
+        await fs.promises.rm(chunkPath, { force: true });
+        throw err;
+    }
+
+    return { chunkPath, length, digest: hash.digest("base64") };
+}
+
+// called once the offset for this chunk was claimed in the db
+const commitChunk = async (uploadId, offset, chunkPath) => {
+    await fs.promises.rename(chunkPath, path.join(getUploadDir(uploadId), `${padOffset(offset)}.part`));
+}
+
+// joins the chunks in offset order into one file for the storage upload
+const assembleChunks = async (upload) => {
+    const uploadDir = getUploadDir(upload._id);
+    const parts = (await fs.promises.readdir(uploadDir))
+        .filter((name) => name.endsWith(".part"))
+        .sort();
+
+    const filePath = path.join(uploadDir, `video${path.extname(upload.fileName).toLowerCase()}`);
+    const output = fs.createWriteStream(filePath);
+
+    for(const part of parts){
+        await pipeline(fs.createReadStream(path.join(uploadDir, part)), output, { end: false });
+    }
+
+    await new Promise((resolve, reject) => {
+        output.on("error", reject);
+        output.end(resolve);
+    });
+
+    const { size } = await fs.promises.stat(filePath);
+
+    if(size !== upload.size){
+        await fs.promises.rm(filePath, { force: true });
+        throw new ApiError(500, "Uploaded chunks do not add up to the file size. Please upload the video again");
+    }
+
+    return filePath;
+}
+
+const removeUploadFiles = async (uploadId) => {
+    await fs.promises.rm(getUploadDir(uploadId), { recursive: true, force: true });
+}
+
+export {
+    getMaxChunkSize,
+    getUploadExpiresAt,
+    parseChecksumHeader,
+    receiveChunk,
+    commitChunk,
+    assembleChunks,
+    removeUploadFiles
+};
\ No newline at end of file
@@ -0,0 +1,117 @@
+import { SearchHistory } from "../models/searchHistory.model.js";
+import { SearchQuery } from "../models/searchQuery.model.js";
+import { Video } from "../models/video.model.js";
+import { escapeRegex, getSearchTerms } from "../utils/search.js";
+import { hashToken } from "../utils/hashToken.js";
+
+// older entries are dropped
+const MAX_HISTORY_ENTRIES = 200;
+
+// queries searched by fewer users are never suggested to other users, they may be personal
+const MIN_POPULAR_SEARCHERS = 3;
+
+const MAX_HISTORY_SUGGESTIONS = 3;
+
+// how many recent searches shape a user's suggestions
+const RECENT_SEARCHES_FOR_RANKING = 20;
+
+const normalizeSearchQuery = (query) => String(query || "").trim().toLowerCase().replace(/\s+/g, " ");
+
+// counts the query for autocomplete and adds it to the user's history; neither while history is paused
+const recordSearch = async (user, query) => {
+    const normalizedQuery = normalizeSearchQuery(query);
+
+    if(!normalizedQuery || user.searchHistoryPaused) return;
+
+    await SearchQuery.updateOne(
+        { query: normalizedQuery },
+        { $inc: { count: 1 }, $set: { lastSearchedAt: new Date() } },
+        { upsert: true }
+    );
+
+    // once enough users searched it the query is popular, later users need not be remembered
+    const userHash = hashToken(user._id.toString());
+
+    await SearchQuery.updateOne(
+        { query: normalizedQuery, users: { $not: { $gte: MIN_POPULAR_SEARCHERS } }, userHashes: { $ne: userHash } },
+        { $push: { userHashes: userHash }, $inc: { users: 1 } }
+    );
+
+    await SearchHistory.updateOne(
+        { user: user._id, normalizedQuery },
+        { $set: { query: query.trim(), searchedAt: new Date() } },
+        { upsert: true }
+    );
+
+    const overflow = await SearchHistory.find({ user: user._id })
+        .sort({ searchedAt: -1 })
+        .skip(MAX_HISTORY_ENTRIES)
+        .select("_id")
+        .lean();
+
+    if(overflow.length){
+        await SearchHistory.deleteMany({ _id: { $in: overflow.map((entry) => entry._id) } });
+    }
+}
+
+// the user's own matching searches first, then popular searches (ranked up when they share words with
+// what the user searched lately), then public video titles
+const getSearchSuggestions = async (user, prefix, limit) => {
+    const normalizedPrefix = normalizeSearchQuery(prefix);
+    const startsWith = new RegExp(`^${escapeRegex(normalizedPrefix)}`);
+
+    const [history, recentSearches, popular, videos] = await Promise.all([
+        SearchHistory.find({ user: user._id, normalizedQuery: startsWith })
+            .sort({ searchedAt: -1 })
+            .limit(MAX_HISTORY_SUGGESTIONS)
+            .select("query"),
+        SearchHistory.find({ user: user._id })
+            .sort({ searchedAt: -1 })
+            .limit(RECENT_SEARCHES_FOR_RANKING)
+            .select("normalizedQuery"),
+        SearchQuery.find({ query: startsWith, users: { $gte: MIN_POPULAR_SEARCHERS } })
+            .sort({ count: -1 })
+            .limit(limit * 3)
+            .select("query count"),
+        Video.find({
+            visibility: "public",
+            title: { $regex: `^${escapeRegex(prefix.trim())}`, $options: "i" }
+        })
+            .sort({ views: -1 })
+            .limit(limit)
+            .select("title")
+    ]);
+
+    const recentTerms = new Set(recentSearches.flatMap((entry) => getSearchTerms(entry.normalizedQuery)));
+
+    const rankedPopular = popular
+        .map((entry) => {
+            const sharedTerms = getSearchTerms(entry.query).filter((term) => recentTerms.has(term)).length;
+            return { query: entry.query, score: entry.count * (1 + sharedTerms) };
+        })
+        .sort((a, b) => b.score - a.score);
+
+    const suggestions = [
+        ...history.map((entry) => ({ text: entry.query, source: "history" })),
+        ...rankedPopular.map((entry) => ({ text: entry.query, source: "popular" })),
+        ...videos.map((video) => ({ text: video.title, source: "video" }))
+    ];
+
+    // same text from several sources is suggested once, from the first source
+    const seen = new Set();
+
+    return suggestions
+        .filter((suggestion) => {
+            const key = normalizeSearchQuery(suggestion.text);
+            if(seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .slice(0, limit);
+}
+
+export {
+    normalizeSearchQuery,
+    recordSearch,
+    getSearchSuggestions
+};
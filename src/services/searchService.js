@@ -0,0 +1,272 @@
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { Caption } from "../models/caption.model.js";
+import { getSearchTerms, highlightText } from "../utils/search.js";
+
+const HOUR = 60 * 60 * 1000;
+
+const UPLOAD_DATE_WINDOWS = {
+    hour: HOUR,
+    today: 24 * HOUR,
+    week: 7 * 24 * HOUR,
+    month: 30 * 24 * HOUR,
+    year: 365 * 24 * HOUR
+};
+
+// seconds
+const DURATION_BUCKETS = {
+    short: { $lt: 4 * 60 },
+    medium: { $gte: 4 * 60, $lte: 20 * 60 },
+    long: { $gt: 20 * 60 }
+};
+
+// videos whose captions or channel match rank below title matches but still show up
+const CAPTION_MATCH_SCORE = 0.75;
+
+const CHANNEL_MATCH_SCORE = 1;
+
+// matches pulled in through captions and channels are capped, the rest comes from the video index
+const MAX_RELATED_MATCHES = 200;
+
+const getUploadedSince = (uploadDate) => UPLOAD_DATE_WINDOWS[uploadDate] && new Date(Date.now() - UPLOAD_DATE_WINDOWS[uploadDate]);
+
+const ownerLookup = {
+    $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [
+            {
+                $project: {
+                    username: 1,
+                    fullName: 1,
+                    avatar: 1
+                }
+            }
+        ]
+    }
+};
+
+const searchVideos = async (query, {uploadDate, duration, sortBy, page, limit}) => {
+    const [captionMatches, channelMatches] = await Promise.all([
+        Caption.find({ $text: { $search: query } }, { score: { $meta: "textScore" } })
+            .sort({ score: { $meta: "textScore" } })
+            .limit(MAX_RELATED_MATCHES)
+            .select("video"),
+        // not distinct(), it ignores the limit
+        User.find({ $text: { $search: query }, deletionRequestedAt: null }, { score: { $meta: "textScore" } })
+            .sort({ score: { $meta: "textScore" } })
+            .limit(MAX_RELATED_MATCHES)
+            .select("_id")
+            .lean()
+    ]);
+
+    const captionVideoIds = captionMatches.map((caption) => caption.video);
+    const channelIds = channelMatches.map((channel) => channel._id);
+
+    // $text has to be in the first stage, filters that are not indexed come after it
+    const filters = {};
+    const uploadedSince = getUploadedSince(uploadDate);
+
+    if(uploadedSince){
+        filters.$or = [
+            { publishedAt: { $gte: uploadedSince } },
+            { publishedAt: null, createdAt: { $gte: uploadedSince } }
+        ];
+    }
+
+    if(DURATION_BUCKETS[duration]){
+        filters.duration = DURATION_BUCKETS[duration];
+    }
+
+    const sort = {
+        date: { publishedAt: -1, createdAt: -1 },
+        views: { views: -1 }
+    }[sortBy] || { relevance: -1, views: -1 };
+
+    const aggregate = Video.aggregate([
+        {
+            $match: {
+                $or: [
+                    { $text: { $search: query } },
+                    { _id: { $in: captionVideoIds } },
+                    { owner: { $in: channelIds } }
+                ],
+                visibility: "public"
+            }
+        },
+        {
+            $match: filters
+        },
+        {
+            $addFields: {
+                relevance: {
+                    $add: [
+                        { $ifNull: [{ $meta: "textScore" }, 0] },
+                        { $cond: [{ $in: ["$_id", captionVideoIds] }, CAPTION_MATCH_SCORE, 0] },
+                        { $cond: [{ $in: ["$owner", channelIds] }, CHANNEL_MATCH_SCORE, 0] }
+                    ]
+                }
+            }
+        },
+        {
+            $sort: sort
+        },
+        {
+            $project: {
+                title: 1,
+                description: 1,
+                thumbnail: 1,
+                duration: 1,
+                views: 1,
+                tags: 1,
+                category: 1,
+                owner: 1,
+                publishedAt: 1,
+                createdAt: 1,
+                relevance: 1
+            }
+        },
+        ownerLookup,
+        {
+            $unwind: "$owner"
+        }
+    ]);
+
+    const results = await Video.aggregatePaginate(aggregate, { page, limit });
+    const terms = getSearchTerms(query);
+
+    results.docs = results.docs.map((video) => ({
+        ...video,
+        type: "video",
+        highlights: {
+            title: highlightText(video.title, terms),
+            description: highlightText(video.description, terms, { snippet: true }),
+            tags: video.tags?.filter((tag) => highlightText(tag, terms)),
+            channel: highlightText(video.owner.fullName, terms),
+            captions: captionVideoIds.some((videoId) => videoId.equals(video._id))
+        }
+    }));
+
+    return results;
+}
+
+const searchChannels = async (query, {uploadDate, sortBy, page, limit}) => {
+    const uploadedSince = getUploadedSince(uploadDate);
+
+    const aggregate = User.aggregate([
+        {
+            $match: {
+                $text: { $search: query },
+                deletionRequestedAt: null
+            }
+        },
+        {
+            $match: uploadedSince ? { createdAt: { $gte: uploadedSince } } : {}
+        },
+        {
+            $lookup: {
+                from: "subscriptions",
+                localField: "_id",
+                foreignField: "channel",
+                as: "subscribers"
+            }
+        },
+        {
+            $addFields: {
+                relevance: { $meta: "textScore" },
+                subscribersCount: { $size: "$subscribers" }
+            }
+        },
+        {
+            $sort: sortBy === "date" ? { createdAt: -1 } : { relevance: -1, subscribersCount: -1 }
+        },
+        {
+            $project: {
+                username: 1,
+                fullName: 1,
+                avatar: 1,
+                subscribersCount: 1,
+                createdAt: 1,
+                relevance: 1
+            }
+        }
+    ]);
+
+    const results = await User.aggregatePaginate(aggregate, { page, limit });
+    const terms = getSearchTerms(query);
+
+    results.docs = results.docs.map((channel) => ({
+        ...channel,
+        type: "channel",
+        highlights: {
+            fullName: highlightText(channel.fullName, terms),
+            username: highlightText(channel.username, terms)
+        }
+    }));
+
+    return results;
+}
+
+const searchPlaylists = async (query, {uploadDate, sortBy, page, limit}) => {
+    const uploadedSince = getUploadedSince(uploadDate);
+
+    const aggregate = Playlist.aggregate([
+        {
+            $match: {
+                $text: { $search: query },
+                "videos.0": { $exists: true }
+            }
+        },
+        {
+            $match: uploadedSince ? { createdAt: { $gte: uploadedSince } } : {}
+        },
+        {
+            $addFields: {
+                relevance: { $meta: "textScore" },
+                totalVideos: { $size: "$videos" }
+            }
+        },
+        {
+            $sort: sortBy === "date" ? { createdAt: -1 } : { relevance: -1, totalVideos: -1 }
+        },
+        {
+            $project: {
+                name: 1,
+                description: 1,
+                owner: 1,
+                totalVideos: 1,
+                createdAt: 1,
+                relevance: 1
+            }
+        },
+        ownerLookup,
+        {
+            $unwind: "$owner"
+        }
+    ]);
+
+    const results = await Playlist.aggregatePaginate(aggregate, { page, limit });
+    const terms = getSearchTerms(query);
+
+    results.docs = results.docs.map((playlist) => ({
+        ...playlist,
+        type: "playlist",
+        highlights: {
+            name: highlightText(playlist.name, terms),
+            description: highlightText(playlist.description, terms, { snippet: true })
+        }
+    }));
+
+    return results;
+}
+
+export {
+    UPLOAD_DATE_WINDOWS,
+    DURATION_BUCKETS,
+    searchVideos,
+    searchChannels,
+    searchPlaylists
+};
@@ -0,0 +1,100 @@
+import fs from "fs";
+import { cloudinaryStorage } from "./cloudinaryService.js";
+import { diskStorage } from "./diskStorageService.js";
+
+// a provider implements:
+//   put(localFilePath, {key?, resourceType?}) -> {url, public_id, duration?, bytes?}
+//                                               key sets the public id, keeping relative links between files working;
+//                                               resourceType ("image", "video") for keyed files that are not raw
+//   delete(publicId, resourceType)
+//   deletePrefix(prefix)                     removes every file stored under a key prefix
+//   getSignedUrl(publicId, {resourceType, expiresIn})
+//   stat(publicId, resourceType)             -> {size, format, createdAt} or null
+const providers = {
+    cloudinary: cloudinaryStorage,
+    local: diskStorage
+};
+
+// allow other object stores (S3, GCS, ...) to be plugged in
+const registerStorageProvider = (name, provider) => {
+    for(const method of ["put", "delete", "deletePrefix", "getSignedUrl", "stat"]){
+        if(typeof provider?.[method] !== "function"){
+            throw new Error(`Storage provider must implement ${method}()`);
+        }
+    }
+    providers[name] = provider;
+}
+
+const getStorageProvider = (name) => {
+    const provider = providers[name];
+
+    if(!provider){
+        throw new Error(`Unknown storage provider: ${name}`);
+    }
+
+    return provider;
+}
+
+// new files go to STORAGE_PROVIDER, existing assets stay with the provider recorded on them
+const getDefaultProviderName = () => process.env.STORAGE_PROVIDER || "cloudinary";
+
+// assets saved before providers were recorded all live on cloudinary
+const getAssetProvider = (asset) => getStorageProvider(asset?.provider || "cloudinary");
+
+// moves a temp file into storage; resolves with the stored asset or null on failure
+const uploadFile = async (localFilePath, {key, resourceType} = {}) => {
+    if(!localFilePath) return null;
+
+    const provider = getDefaultProviderName();
+
+    try {
+        const stored = await getStorageProvider(provider).put(localFilePath, { key, resourceType });
+        return { ...stored, provider };
+    } catch (err) {
+        console.log("Error while uploading file: ", err);
+        return null;
+    } finally {
+        if(fs.existsSync(localFilePath)) fs.unlinkSync(localFilePath);
+    }
+}
+
+// asset is a stored {public_id, provider}, e.g. video.videoFile or user.avatar
+const deleteFile = async (asset, resourceType = "image") => {
+    if(!asset?.public_id) return;
+
+    try {
+        await getAssetProvider(asset).delete(asset.public_id, resourceType);
+    } catch (err) {
+        console.log("Error while deleting file: ", err);
+    }
+}
+
+// folder is a stored {prefix, provider}, e.g. video.streaming
+const deleteFolder = async (folder) => {
+    if(!folder?.prefix) return;
+
+    try {
+        await getAssetProvider(folder).deletePrefix(folder.prefix);
+    } catch (err) {
+        console.log("Error while deleting folder: ", err);
+    }
+}
+
+const getSignedFileUrl = async (asset, {resourceType = "image", expiresIn} = {}) => {
+    return getAssetProvider(asset).getSignedUrl(asset.public_id, { resourceType, expiresIn });
+}
+
+const statFile = async (asset, resourceType = "image") => {
+    return getAssetProvider(asset).stat(asset.public_id, resourceType);
+}
+
+export {
+    registerStorageProvider,
+    getStorageProvider,
+    getDefaultProviderName,
+    uploadFile,
+    deleteFile,
+    deleteFolder,
+    getSignedFileUrl,
+    statFile
+};
\ No newline at end of file
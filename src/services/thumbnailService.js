@@ -0,0 +1,150 @@
+import fs from "fs";
+import path from "path";
+import { THUMBNAIL_VARIANTS } from "../constants.js";
+import { ApiError } from "../utils/ApiError.js";
+import { runFfmpeg } from "../utils/ffmpeg.js";
+import { deleteFile, uploadFile } from "./storageService.js";
+
+const getCandidateCount = () => Math.min(Math.max(Number(process.env.THUMBNAIL_CANDIDATES) || 3, 1), 10);
+
+// fills the variant size and crops the overflow, so every variant has the same framing
+const createVariant = (imagePath, outputPath, {width, height}) => {
+    return runFfmpeg([
+        "-i", imagePath,
+        "-vf", `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}`,
+        "-frames:v", "1",
+        "-q:v", "3",
+        outputPath
+    ]);
+}
+
+// stores an image with its resized variants; resolves with the thumbnail to save on a video.
+// key names the stored files, e.g. "videos/<id>/thumbnails/candidate-0" (random names without it).
+// the local image is removed in every case
+const storeThumbnail = async (imagePath, {key} = {}) => {
+    const variantPaths = THUMBNAIL_VARIANTS.map((variant) => `${imagePath}-${variant.name}.jpg`);
+    const stored = [];
+
+    try {
+        try {
+            for(const [index, variant] of THUMBNAIL_VARIANTS.entries()){
+                await createVariant(imagePath, variantPaths[index], variant);
+            }
+        } catch (err) {
+            // ffmpeg missing is our problem, not the uploader's
+            if(err.code === "ENOENT") throw err;
+            throw new ApiError(415, "Thumbnail must be an image");
+        }
+
+        const original = await uploadFile(imagePath, key && {
+            key: `${key}${path.extname(imagePath).toLowerCase()}`,
+            resourceType: "image"
+        });
+
+        if(!original){
+            throw new ApiError(500, "Failed to upload thumbnail");
+        }
+
+        stored.push(original);
+
+        const variants = [];
+
+        for(const [index, variant] of THUMBNAIL_VARIANTS.entries()){
+            const uploadedVariant = await uploadFile(variantPaths[index], key && {
+                key: `${key}-${variant.name}.jpg`,
+                resourceType: "image"
+            });
+
+            if(!uploadedVariant){
+                throw new ApiError(500, "Failed to upload thumbnail");
+            }
+
+            stored.push(uploadedVariant);
+            variants.push({
+                name: variant.name,
+                width: variant.width,
+                height: variant.height,
+                url: uploadedVariant.url,
+                public_id: uploadedVariant.public_id
+            });
+        }
+
+        return {
+            url: original.url,
+            public_id: original.public_id,
+            provider: original.provider,
+            variants
+        };
+    } catch (err) {
+        for(const file of stored){
+            await deleteFile(file, "image");
+        }
+        throw err;
+    } finally {
+        for(const filePath of [imagePath, ...variantPaths]){
+            await fs.promises.rm(filePath, { force: true });
+        }
+    }
+}
+
+// thumbnail is a stored {public_id, provider, variants}, e.g. video.thumbnail
+const deleteThumbnail = async (thumbnail) => {
+    if(!thumbnail?.public_id) return;
+
+    await deleteFile(thumbnail, "image");
+
+    for(const variant of thumbnail.variants || []){
+        await deleteFile({ ...variant, provider: thumbnail.provider }, "image");
+    }
+}
+
+// frames spread over the video; the thumbnail filter picks the most representative of the next
+// frames, so fades and black frames are skipped
+const extractFrame = (sourcePath, time, outputPath) => {
+    return runFfmpeg([
+        "-ss", String(time),
+        "-i", sourcePath,
+        "-vf", "thumbnail=60",
+        "-frames:v", "1",
+        "-q:v", "2",
+        outputPath
+    ]);
+}
+
+// extracts candidate thumbnails in workDir and stores them under keyPrefix; resolves with them in video order
+const createThumbnailCandidates = async (sourcePath, duration, workDir, keyPrefix) => {
+    await fs.promises.mkdir(workDir, { recursive: true });
+
+    const count = getCandidateCount();
+    const candidates = [];
+
+    try {
+        for(let index = 0; index < count; index++){
+            const time = Math.round(((duration || 0) * (index + 1)) / (count + 1) * 100) / 100;
+            const framePath = path.join(workDir, `candidate_${index}.jpg`);
+
+            await extractFrame(sourcePath, time, framePath);
+
+            // frames past the last keyframe of very short videos come out empty
+            if(!fs.existsSync(framePath)) continue;
+
+            // a new key per attempt, so CDNs never serve a candidate of an earlier attempt from cache
+            const key = `${keyPrefix}/candidate-${index}-${Date.now()}`;
+
+            candidates.push({ ...(await storeThumbnail(framePath, { key })), time });
+        }
+    } catch (err) {
+        for(const candidate of candidates){
+            await deleteThumbnail(candidate);
+        }
+        throw err;
+    }
+
+    return candidates;
+}
+
+export {
+    storeThumbnail,
+    deleteThumbnail,
+    createThumbnailCandidates
+};
@@ -0,0 +1,409 @@
+import fs from "fs";
+import path from "path";
+import { Video } from "../models/video.model.js";
+import { VIDEO_RENDITIONS } from "../constants.js";
+import { probeMedia, runFfmpeg } from "../utils/ffmpeg.js";
+import { deleteFile, deleteFolder, getDefaultProviderName, uploadFile } from "./storageService.js";
+import { createThumbnailCandidates, deleteThumbnail } from "./thumbnailService.js";
+
+// uploads wait here for the transcode job, it has to be shared when several servers run the job
+const getTranscodeDir = () => process.env.TRANSCODE_DIR || "./transcode-tmp";
+
+const getVideoWorkDir = (videoId) => path.join(getTranscodeDir(), videoId.toString());
+
+const getMaxAttempts = () => Number(process.env.TRANSCODE_MAX_ATTEMPTS) || 3;
+
+const HLS_SEGMENT_SECONDS = 6;
+
+// the worker renews its claim on a video this often, while encoding and while uploading
+const TRANSCODE_LOCK_RENEW_MS = 60 * 1000;
+
+// claims not renewed for this long are given to another worker, see transcode.job
+const TRANSCODE_LOCK_TIMEOUT_MS = 30 * 60 * 1000;
+
+// moves an uploaded file next to the transcode output; resolves with its new path
+const stageSourceFile = async (localFilePath, videoId) => {
+    const workDir = getVideoWorkDir(videoId);
+    await fs.promises.mkdir(workDir, { recursive: true });
+
+    const sourcePath = path.join(workDir, `source${path.extname(localFilePath).toLowerCase()}`);
+
+    try {
+        await fs.promises.rename(localFilePath, sourcePath);
+    } catch (err) {
+        // temp and transcode dirs can be on different devices
+        if(err.code !== "EXDEV") throw err;
+
+        await fs.promises.copyFile(localFilePath, sourcePath);
+        await fs.promises.rm(localFilePath, { force: true });
+    }
+
+    return sourcePath;
+}
+
+const removeTranscodeFiles = async (videoId) => {
+    await fs.promises.rm(getVideoWorkDir(videoId), { recursive: true, force: true });
+}
+
+// renditions up to the source height, or a single one at source size for tiny videos
+const pickRenditions = ({width, height}) => {
+    const evenWidth = (targetHeight) => Math.round((width * targetHeight) / height / 2) * 2;
+    const renditions = VIDEO_RENDITIONS.filter((rendition) => rendition.height <= height);
+
+    if(!renditions.length){
+        const smallest = VIDEO_RENDITIONS[VIDEO_RENDITIONS.length - 1];
+        const sourceHeight = Math.floor(height / 2) * 2;
+
+        return [{ ...smallest, name: `${sourceHeight}p`, height: sourceHeight, width: evenWidth(sourceHeight) }];
+    }
+
+    return renditions.map((rendition) => ({ ...rendition, width: evenWidth(rendition.height) }));
+}
+
+const encodeHlsRendition = (sourcePath, outputDir, rendition, {hasAudio, onProgress}) => {
+    const {height, videoBitrate, audioBitrate} = rendition;
+
+    return runFfmpeg([
+        "-i", sourcePath,
+        "-map", "0:v:0",
+        ...(hasAudio ? ["-map", "0:a:0"] : []),
+        "-vf", `scale=-2:${height}`,
+        "-c:v", "libx264",
+        "-preset", process.env.TRANSCODE_PRESET || "veryfast",
+        "-profile:v", "main",
+        "-pix_fmt", "yuv420p",
+        "-b:v", `${videoBitrate}k`,
+        "-maxrate", `${Math.round(videoBitrate * 1.07)}k`,
+        "-bufsize", `${videoBitrate * 2}k`,
+        // keyframes at fixed times so segments line up across renditions
+        "-force_key_frames", `expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+        "-sc_threshold", "0",
+        ...(hasAudio ? ["-c:a", "aac", "-b:a", `${audioBitrate}k`, "-ac", "2"] : []),
+        "-f", "hls",
+        "-hls_time", String(HLS_SEGMENT_SECONDS),
+        "-hls_playlist_type", "vod",
+        "-hls_segment_filename", path.join(outputDir, "segment_%04d.ts"),
+        path.join(outputDir, "index.m3u8")
+    ], { onProgress });
+}
+
+const writeMasterPlaylist = async (hlsDir, renditions, hasAudio) => {
+    const lines = ["#EXTM3U", "#EXT-X-VERSION:3"];
+
+    for(const rendition of renditions){
+        const bandwidth = (rendition.videoBitrate + (hasAudio ? rendition.audioBitrate : 0)) * 1000;
+
+        lines.push(
+            `#EXT-X-STREAM-INF:BANDWIDTH=${Math.round(bandwidth * 1.1)},AVERAGE-BANDWIDTH=${bandwidth},RESOLUTION=${rendition.width}x${rendition.height},NAME="${rendition.name}"`,
+            `${rendition.name}/index.m3u8`
+        );
+    }
+
+    await fs.promises.writeFile(path.join(hlsDir, "master.m3u8"), `${lines.join("\n")}\n`);
+}
+
+// repackages the HLS renditions into DASH without encoding again
+const packageDash = async (hlsDir, dashDir, renditions, hasAudio) => {
+    const inputs = renditions.flatMap((rendition) => ["-i", path.join(hlsDir, rendition.name, "index.m3u8")]);
+    const videoMaps = renditions.flatMap((_, index) => ["-map", `${index}:v:0`]);
+
+    await runFfmpeg([
+        ...inputs,
+        ...videoMaps,
+        ...(hasAudio ? ["-map", "0:a:0"] : []),
+        "-c", "copy",
+        "-f", "dash",
+        "-seg_duration", String(HLS_SEGMENT_SECONDS),
+        "-use_template", "1",
+        "-use_timeline", "1",
+        "-adaptation_sets", hasAudio ? "id=0,streams=v id=1,streams=a" : "id=0,streams=v",
+        path.join(dashDir, "manifest.mpd")
+    ]);
+}
+
+const listFiles = async (dir) => {
+    const entries = await fs.promises.readdir(dir, { recursive: true, withFileTypes: true });
+
+    return entries
+        .filter((entry) => entry.isFile())
+        .map((entry) => path.join(entry.parentPath, entry.name));
+}
+
+// uploads the output keeping its layout, so playlists can reference segments relatively
+const uploadOutput = async (outputDir, prefix) => {
+    const uploaded = {};
+
+    for(const filePath of await listFiles(outputDir)){
+        const relativePath = path.relative(outputDir, filePath).split(path.sep).join("/");
+        const stored = await uploadFile(filePath, { key: `${prefix}/${relativePath}` });
+
+        if(!stored){
+            throw new Error(`Could not upload ${relativePath}`);
+        }
+
+        uploaded[relativePath] = stored;
+    }
+
+    return uploaded;
+}
+
+const transcodeVideo = async (video, sourcePath) => {
+    const source = await probeMedia(sourcePath);
+
+    if(!source.hasVideo || !source.height){
+        throw new Error("Uploaded file has no video stream");
+    }
+
+    const renditions = pickRenditions(source);
+    const outputDir = path.join(getVideoWorkDir(video._id), "output");
+    const hlsDir = path.join(outputDir, "hls");
+
+    await fs.promises.rm(outputDir, { recursive: true, force: true });
+
+    // progress over all renditions, written at most every few seconds
+    let lastProgressUpdate = 0;
+    const reportProgress = (renditionIndex, seconds) => {
+        if(Date.now() - lastProgressUpdate < 5000 || !source.duration) return;
+        lastProgressUpdate = Date.now();
+
+        const done = renditionIndex + Math.min(seconds / source.duration, 1);
+        const progress = Math.floor((done / renditions.length) * 95);
+
+        Video.updateOne({ _id: video._id }, { $set: { "processing.progress": progress } })
+            .catch((err) => console.log("Error while saving transcode progress: ", err));
+    }
+
+    for(const [index, rendition] of renditions.entries()){
+        const renditionDir = path.join(hlsDir, rendition.name);
+        await fs.promises.mkdir(renditionDir, { recursive: true });
+
+        await encodeHlsRendition(sourcePath, renditionDir, rendition, {
+            hasAudio: source.hasAudio,
+            onProgress: (seconds) => reportProgress(index, seconds)
+        });
+    }
+
+    await writeMasterPlaylist(hlsDir, renditions, source.hasAudio);
+
+    if(process.env.TRANSCODE_DASH === "true"){
+        const dashDir = path.join(outputDir, "dash");
+        await fs.promises.mkdir(dashDir, { recursive: true });
+        await packageDash(hlsDir, dashDir, renditions, source.hasAudio);
+    }
+
+    return { source, renditions, outputDir };
+}
+
+const processVideo = async (videoId) => {
+    let lockedAt = new Date();
+
+    // claim the video so it is never transcoded twice at once
+    const video = await Video.findOneAndUpdate(
+        { _id: videoId, "processing.status": "pending" },
+        {
+            $set: {
+                "processing.status": "processing",
+                "processing.progress": 0,
+                "processing.startedAt": lockedAt,
+                "processing.lockedAt": lockedAt
+            },
+            $inc: { "processing.attempts": 1 }
+        },
+        { new: true }
+    ).select("+processing.sourcePath");
+
+    if(!video) return;
+
+    // the lock is renewed only while it is still ours, a worker that lost it leaves the video to the new one
+    const ownLock = () => ({ _id: video._id, "processing.status": "processing", "processing.lockedAt": lockedAt });
+    let isLockLost = false;
+
+    const renewLock = async () => {
+        const renewedAt = new Date();
+        const renewed = await Video.updateOne(ownLock(), { $set: { "processing.lockedAt": renewedAt } });
+
+        if(renewed.matchedCount){
+            lockedAt = renewedAt;
+        } else {
+            isLockLost = true;
+        }
+    }
+
+    let renewal = Promise.resolve();
+    const lockTimer = setInterval(() => {
+        renewal = renewLock().catch((err) => console.log("Error while renewing transcode lock: ", err));
+    }, TRANSCODE_LOCK_RENEW_MS);
+    lockTimer.unref();
+
+    const releaseLockTimer = async () => {
+        clearInterval(lockTimer);
+        await renewal;
+    }
+
+    const assertLockHeld = () => {
+        if(isLockLost) throw new Error("Transcode lock was lost");
+    }
+
+    const sourcePath = video.processing.sourcePath;
+    const prefix = `videos/${video._id}`;
+    let videoFile;
+    let thumbnailCandidates = [];
+
+    try {
+        const { source, renditions, outputDir } = await transcodeVideo(video, sourcePath);
+        assertLockHeld();
+
+        const uploaded = await uploadOutput(outputDir, prefix);
+        assertLockHeld();
+
+        const master = uploaded["hls/master.m3u8"];
+        const manifest = uploaded["dash/manifest.mpd"];
+
+        const streaming = {
+            provider: master.provider,
+            prefix,
+            hls: { url: master.url, public_id: master.public_id },
+            dash: manifest ? { url: manifest.url, public_id: manifest.public_id } : undefined,
+            renditions: renditions.map((rendition) => ({
+                name: rendition.name,
+                width: rendition.width,
+                height: rendition.height,
+                videoBitrate: rendition.videoBitrate,
+                audioBitrate: source.hasAudio ? rendition.audioBitrate : 0,
+                playlistUrl: uploaded[`hls/${rendition.name}/index.m3u8`].url
+            }))
+        };
+
+        thumbnailCandidates = await createThumbnailCandidates(
+            sourcePath,
+            source.duration,
+            path.join(getVideoWorkDir(video._id), "thumbnails"),
+            `${prefix}/thumbnails`
+        );
+
+        // keep the original too, so the video can be transcoded again later
+        const storedSource = await uploadFile(sourcePath, {
+            key: `${prefix}/source${path.extname(sourcePath)}`,
+            resourceType: "video"
+        });
+
+        if(!storedSource){
+            throw new Error("Could not upload the original video file");
+        }
+
+        await releaseLockTimer();
+        assertLockHeld();
+
+        videoFile = {
+            url: storedSource.url,
+            public_id: storedSource.public_id,
+            provider: storedSource.provider
+        };
+
+        const updatedVideo = await Video.findOneAndUpdate(
+            ownLock(),
+            {
+                $set: {
+                    videoFile,
+                    streaming,
+                    thumbnailCandidates,
+                    duration: source.duration,
+                    "processing.status": "ready",
+                    "processing.progress": 100,
+                    "processing.completedAt": new Date()
+                },
+                $unset: {
+                    "processing.error": 1,
+                    "processing.sourcePath": 1,
+                    "processing.lockedAt": 1
+                }
+            }
+        );
+
+        // claimed by another worker in the meantime, its output and work dir are left alone
+        if(!updatedVideo && await Video.exists({ _id: video._id })){
+            for(const candidate of thumbnailCandidates){
+                await deleteThumbnail(candidate);
+            }
+            return;
+        }
+
+        // deleted while it was being transcoded
+        if(!updatedVideo){
+            await deleteFolder(streaming);
+            await deleteFile(videoFile, "video");
+
+            for(const candidate of thumbnailCandidates){
+                await deleteThumbnail(candidate);
+            }
+        } else if(!updatedVideo.thumbnail?.url && thumbnailCandidates.length){
+            // uploaded without a thumbnail, the creator can pick another candidate later
+            const { time, ...thumbnail } = thumbnailCandidates[0];
+
+            await Video.updateOne(
+                { _id: video._id, "thumbnail.url": { $exists: false } },
+                { $set: { thumbnail } }
+            );
+        }
+
+        await removeTranscodeFiles(video._id);
+    } catch (err) {
+        await releaseLockTimer();
+
+        for(const candidate of thumbnailCandidates){
+            await deleteThumbnail(candidate);
+        }
+
+        // another worker has the video now and writes to the same storage prefix and work dir
+        if(isLockLost && await Video.exists({ _id: video._id })) return;
+
+        console.log("Error while transcoding video: ", err);
+
+        // partial output of this attempt
+        await deleteFolder({ prefix, provider: getDefaultProviderName() });
+        if(videoFile) await deleteFile(videoFile, "video");
+
+        const canRetry = video.processing.attempts < getMaxAttempts() && fs.existsSync(sourcePath);
+
+        await Video.updateOne(
+            ownLock(),
+            {
+                $set: {
+                    "processing.status": canRetry ? "pending" : "failed",
+                    "processing.error": err?.message
+                },
+                $unset: { "processing.lockedAt": 1 }
+            }
+        );
+
+        if(!canRetry){
+            await removeTranscodeFiles(video._id);
+        }
+    }
+}
+
+// one video at a time, transcoding already uses every core
+let isProcessingQueue = false;
+
+const processPendingVideos = async () => {
+    if(isProcessingQueue) return;
+    isProcessingQueue = true;
+
+    try {
+        let video;
+
+        while((video = await Video.findOne({ "processing.status": "pending" }).sort({ createdAt: 1 }).select("_id"))){
+            await processVideo(video._id);
+        }
+    } finally {
+        isProcessingQueue = false;
+    }
+}
+
+export {
+    TRANSCODE_LOCK_TIMEOUT_MS,
+    stageSourceFile,
+    removeTranscodeFiles,
+    processVideo,
+    processPendingVideos
+};
\ No newline at end of file
@@ -0,0 +1,146 @@
+import crypto from "crypto";
+import { Video } from "../models/video.model.js";
+import { ViewEvent } from "../models/viewEvent.model.js";
+import { hashToken } from "../utils/hashToken.js";
+
+// a viewer counts once per video within this many hours
+const getViewWindowMs = () => (Number(process.env.VIEW_DEDUP_HOURS) || 6) * 60 * 60 * 1000;
+
+const getViewRetentionMs = () => (Number(process.env.VIEW_EVENT_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// nobody watches this many different videos in an hour
+const getMaxViewsPerHour = () => Number(process.env.MAX_VIEWS_PER_HOUR) || 120;
+
+const FLUSH_BATCH_SIZE = 1000;
+
+const BOT_USER_AGENT = /bot|crawl|spider|slurp|scrape|headless|phantom|curl|wget|python-requests|httpclient|go-http|java\/|okhttp|axios|node-fetch|libwww|facebookexternalhit|preview/i;
+
+const isBotUserAgent = (userAgent) => !userAgent || BOT_USER_AGENT.test(userAgent);
+
+// viewer is {userId, ip, userAgent}
+const getViewerKey = ({userId, ip, userAgent}) => {
+    if(userId) return `user:${userId}`;
+    return `anon:${hashToken(`${ip}|${userAgent}`).slice(0, 32)}`;
+}
+
+// stores a view unless the viewer was counted for the video within the window; Video.views follows on
+// the next flush. resolves with true when the view will be counted
+const recordView = async (videoId, viewer) => {
+    if(isBotUserAgent(viewer.userAgent)) return false;
+
+    const viewerKey = getViewerKey(viewer);
+    const now = Date.now();
+
+    const alreadyViewed = await ViewEvent.exists({
+        video: videoId,
+        viewerKey,
+        createdAt: { $gte: new Date(now - getViewWindowMs()) }
+    });
+
+    if(alreadyViewed) return false;
+
+    // scripted clients go through many videos quickly
+    const viewsLastHour = await ViewEvent.countDocuments({
+        viewerKey,
+        createdAt: { $gte: new Date(now - 60 * 60 * 1000) }
+    });
+
+    const isBot = viewsLastHour >= getMaxViewsPerHour();
+
+    try {
+        await ViewEvent.create({
+            video: videoId,
+            viewerKey,
+            user: viewer.userId,
+            window: Math.floor(now / getViewWindowMs()),
+            isBot,
+            expiresAt: new Date(now + getViewRetentionMs())
+        });
+    } catch (err) {
+        // the same viewer counted by a concurrent request
+        if(err?.code === 11000) return false;
+        throw err;
+    }
+
+    return !isBot;
+}
+
+// adds stored views to Video.views in batches; every event is claimed by one flush, so several
+// servers can run it. resolves with the number of views added
+const flushViewCounts = async () => {
+    let flushed = 0;
+
+    while(true){
+        const pending = await ViewEvent.find({ countedAt: null, isBot: false })
+            .limit(FLUSH_BATCH_SIZE)
+            .select("_id")
+            .lean();
+
+        if(!pending.length) break;
+
+        const flushId = crypto.randomUUID();
+
+        await ViewEvent.updateMany(
+            { _id: { $in: pending.map((event) => event._id) }, countedAt: null },
+            { $set: { countedAt: new Date(), flushId } }
+        );
+
+        const counts = await ViewEvent.aggregate([
+            {
+                $match: { flushId }
+            },
+            {
+                $group: {
+                    _id: "$video",
+                    views: { $sum: 1 }
+                }
+            }
+        ]);
+
+        if(counts.length){
+            await Video.bulkWrite(counts.map((count) => ({
+                updateOne: {
+                    filter: { _id: count._id },
+                    update: { $inc: { views: count.views } }
+                }
+            })), { ordered: false });
+        }
+
+        flushed += counts.reduce((total, count) => total + count.views, 0);
+
+        if(pending.length < FLUSH_BATCH_SIZE) break;
+    }
+
+    return flushed;
+}
+
+// bytes streamed per user and video, per process. players fetch many ranges, so they add up
+const STREAM_TRACKING_TTL_MS = 6 * 60 * 60 * 1000;
+const streamedBytes = new Map();
+
+const sweeper = setInterval(() => {
+    const now = Date.now();
+    for(const [key, entry] of streamedBytes){
+        if(now - entry.updatedAt > STREAM_TRACKING_TTL_MS) streamedBytes.delete(key);
+    }
+}, 10 * 60 * 1000);
+sweeper.unref();
+
+// returns true exactly once, when the user's streamed bytes reach threshold
+const trackStreamedBytes = (videoId, userId, bytes, threshold) => {
+    const key = `${userId}:${videoId}`;
+    const entry = streamedBytes.get(key) || { bytes: 0, counted: false };
+
+    entry.bytes += bytes;
+    entry.updatedAt = Date.now();
+    streamedBytes.set(key, entry);
+
+    if(!entry.counted && entry.bytes >= threshold){
+        entry.counted = true;
+        return true;
+    }
+
+    return false;
+}
+
+export { recordView, flushViewCounts, trackStreamedBytes };
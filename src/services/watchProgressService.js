@@ -0,0 +1,72 @@
+import { WatchProgress } from "../models/watchProgress.model.js";
+import { User } from "../models/user.model.js";
+
+// the end credits count as watched
+const COMPLETED_REMAINING_SECONDS = 15;
+
+const COMPLETED_RATIO = 0.95;
+
+// heartbeats further apart than this start a new entry in the watch history
+const WATCH_SESSION_GAP_MS = 30 * 60 * 1000;
+
+const isCompleted = (position, duration) => duration > 0
+    && (position >= duration * COMPLETED_RATIO || duration - position <= COMPLETED_REMAINING_SECONDS);
+
+// moves the video to the top of the user's watch history
+const touchWatchHistory = async (userId, videoId) => {
+    await User.findByIdAndUpdate(userId, {
+        $pull: {
+            watchHistory: {
+                video: videoId
+            }
+        }
+    });
+
+    await User.findByIdAndUpdate(userId, {
+        $push: {
+            watchHistory: {
+                video: videoId,
+                watchedAt: new Date()
+            }
+        }
+    });
+}
+
+// saves a player heartbeat; resolves with the stored progress
+const saveWatchProgress = async (userId, video, position) => {
+    const duration = video.duration || 0;
+    const clampedPosition = duration > 0 ? Math.min(position, duration) : position;
+
+    const progress = {
+        position: clampedPosition,
+        duration,
+        completed: isCompleted(clampedPosition, duration)
+    };
+
+    const filter = { user: userId, video: video._id };
+
+    // the previous state tells whether this continues a viewing session
+    let previous;
+
+    try {
+        previous = await WatchProgress.findOneAndUpdate(filter, { $set: progress }, { upsert: true, new: false });
+    } catch (err) {
+        if(err?.code !== 11000) throw err;
+
+        // first heartbeats sent at once, the other one created the entry
+        previous = await WatchProgress.findOneAndUpdate(filter, { $set: progress }, { new: false });
+    }
+
+    // only the first heartbeat of a viewing session goes to the history
+    if(!previous || Date.now() - previous.updatedAt.getTime() > WATCH_SESSION_GAP_MS){
+        await touchWatchHistory(userId, video._id);
+    }
+
+    return { ...progress, updatedAt: new Date() };
+}
+
+const getWatchProgress = (userId, videoId) => {
+    return WatchProgress.findOne({ user: userId, video: videoId }).select("-_id position duration completed updatedAt");
+}
+
+export { saveWatchProgress, getWatchProgress };
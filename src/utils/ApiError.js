@@ -3,7 +3,8 @@ class ApiError extends Error {
         statusCode,
         message = "Something went wrong",
         errors = [],
-        stack = ""
+        stack = "",
+        headers = undefined
     ){
         super(message);
         this.statusCode = statusCode;
@@ -11,6 +12,8 @@ class ApiError extends Error {
         this.message = message;
         this.success = false;
         this.errors = errors;
+        // sent with the error response, e.g. Retry-After on 429
+        this.headers = headers;
 
         if(stack){
             this.stack = stack;
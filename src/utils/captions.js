@@ -0,0 +1,102 @@
+import { ApiError } from "./ApiError.js";
+
+// "01:02:03,456", "01:02:03.456" or "02:03.456" -> seconds
+const parseTimestamp = (value) => {
+    const match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})[.,](\d{1,3})$/.exec(value.trim());
+
+    if(!match) return null;
+
+    const [, hours = "0", minutes, seconds, fraction] = match;
+
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, "0")) / 1000;
+}
+
+// seconds -> "01:02:03.456"
+const formatTimestamp = (time) => {
+    const totalMs = Math.round(time * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const seconds = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+
+    const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(ms, 3)}`;
+}
+
+// a cue is an optional identifier, a timing line and its text; srt counters become identifiers
+const parseCueBlock = (lines) => {
+    const timingIndex = lines.findIndex((line) => line.includes("-->"));
+
+    if(timingIndex === -1 || timingIndex > 1) return null;
+
+    const [startValue, rest = ""] = lines[timingIndex].split("-->");
+    const [endValue, ...settings] = rest.trim().split(/\s+/);
+    const start = parseTimestamp(startValue);
+    const end = parseTimestamp(endValue || "");
+
+    if(start === null || end === null || end < start) return null;
+
+    return {
+        id: timingIndex === 1 ? lines[0].trim() : undefined,
+        start,
+        end,
+        settings: settings.join(" "),
+        text: lines.slice(timingIndex + 1).join("\n").trim()
+    };
+}
+
+// accepts SRT or WebVTT text, detected by content; throws a 400 when no cue can be read
+const parseCaptions = (content) => {
+    const normalized = content.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").trim();
+    const format = /^WEBVTT(?:[ \t].*)?(?:\n|$)/.test(normalized) ? "vtt" : "srt";
+
+    const blocks = normalized.split(/\n[ \t]*\n+/);
+    const cues = [];
+
+    // the WEBVTT header block carries no cues
+    for(const block of format === "vtt" ? blocks.slice(1) : blocks){
+        const lines = block.split("\n");
+
+        // comments, styles and regions only apply to vtt players, they are dropped
+        if(format === "vtt" && /^(NOTE|STYLE|REGION)(\s|$)/.test(lines[0])) continue;
+
+        const cue = parseCueBlock(lines);
+
+        if(!cue){
+            throw new ApiError(400, `Invalid ${format === "vtt" ? "WebVTT" : "SRT"} cue near "${lines[0].slice(0, 40)}"`);
+        }
+
+        if(cue.text) cues.push(cue);
+    }
+
+    if(!cues.length){
+        throw new ApiError(400, "Caption file has no cues");
+    }
+
+    return { format, cues };
+}
+
+// srt styling is a subset of vtt (<b>, <i>, <u>), except font tags and ass overrides like {\an8}
+const toVttText = (text) => text
+    .replace(/<\/?font[^>]*>/gi, "")
+    .replace(/\{\\[^}]*\}/g, "");
+
+const toWebVtt = ({format, cues}) => {
+    const blocks = cues.map((cue) => {
+        const timing = `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}${cue.settings ? ` ${cue.settings}` : ""}`;
+        const text = format === "srt" ? toVttText(cue.text) : cue.text;
+
+        return [cue.id, timing, text].filter(Boolean).join("\n");
+    });
+
+    return `WEBVTT\n\n${blocks.join("\n\n")}\n`;
+}
+
+// what is said in the video, without markup, used for search
+const getCaptionText = ({cues}) => cues
+    .map((cue) => toVttText(cue.text).replace(/<[^>]*>/g, "").replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+
+export { parseCaptions, toWebVtt, getCaptionText };
@@ -0,0 +1,134 @@
+import { ApiError } from "./ApiError.js";
+
+const MIN_CHAPTERS = 3;
+
+const MAX_CHAPTERS = 100;
+
+const MIN_CHAPTER_SECONDS = 10;
+
+const MAX_TITLE_LENGTH = 100;
+
+const TIMESTAMP = "(?:\\d{1,2}:)?\\d{1,2}:\\d{2}";
+
+// "03:15 Setup", "- [1:02:03] Outro", "(0:00) - Intro"; only lines starting with the time, prose and links
+// ending in one are not chapters
+const CHAPTER_LINE = new RegExp(`^\\s*(?:[-*•]\\s*)?[[(]?(${TIMESTAMP})[\\])]?\\s*(?:[-–—:|]\\s*)?(.+?)\\s*$`);
+
+// "1:02:03" -> 3723; numbers are taken as seconds; null when invalid
+const parseChapterTime = (value) => {
+    if(typeof value === "number") return Number.isFinite(value) && value >= 0 ? value : null;
+    if(typeof value !== "string") return null;
+
+    if(/^\d+(\.\d+)?$/.test(value.trim())) return Number(value);
+    if(!new RegExp(`^${TIMESTAMP}$`).test(value.trim())) return null;
+
+    const parts = value.trim().split(":").map(Number);
+
+    // minutes and seconds beyond 59 are typos, not times
+    if(parts.slice(1).some((part) => part > 59)) return null;
+
+    return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+// checks chapters set through the API; resolves with them sorted and trimmed, throws a 400 otherwise
+const validateChapters = (chapters, duration) => {
+    if(!Array.isArray(chapters)){
+        throw new ApiError(400, "chapters must be a list of { start, title }");
+    }
+
+    if(chapters.length < MIN_CHAPTERS || chapters.length > MAX_CHAPTERS){
+        throw new ApiError(400, `A video needs between ${MIN_CHAPTERS} and ${MAX_CHAPTERS} chapters`);
+    }
+
+    const normalized = chapters.map((chapter) => {
+        const start = parseChapterTime(chapter?.start);
+        const title = typeof chapter?.title === "string" ? chapter.title.trim() : "";
+
+        if(start === null){
+            throw new ApiError(400, `Invalid chapter start ${chapter?.start}, use seconds or a timestamp like 03:15`);
+        }
+
+        if(!title || title.length > MAX_TITLE_LENGTH){
+            throw new ApiError(400, `Chapter titles are required and at most ${MAX_TITLE_LENGTH} characters`);
+        }
+
+        return { start, title };
+    }).sort((a, b) => a.start - b.start);
+
+    if(normalized[0].start !== 0){
+        throw new ApiError(400, "The first chapter must start at 00:00");
+    }
+
+    for(const [index, chapter] of normalized.entries()){
+        const end = normalized[index + 1]?.start ?? duration;
+
+        if(duration && chapter.start >= duration){
+            throw new ApiError(400, `Chapter "${chapter.title}" starts after the end of the video`);
+        }
+
+        if(end !== undefined && end - chapter.start < MIN_CHAPTER_SECONDS){
+            throw new ApiError(400, `Chapter "${chapter.title}" is shorter than ${MIN_CHAPTER_SECONDS} seconds`);
+        }
+    }
+
+    return normalized;
+}
+
+// chapters written in a description: lines starting with a timestamp, from the first one at 00:00 on.
+// lines that break the rules (out of order, too close, past the end) are dropped;
+// an empty list when fewer than MIN_CHAPTERS are left
+const parseChaptersFromDescription = (description, duration) => {
+    const lines = (description || "").split(/\r?\n/).filter((line) => line.trim());
+    const listStart = lines.findIndex((line) => parseChapterTime(CHAPTER_LINE.exec(line)?.[1]) === 0);
+
+    if(listStart === -1) return [];
+
+    const chapters = [];
+
+    for(const line of lines.slice(listStart)){
+        const match = CHAPTER_LINE.exec(line);
+
+        if(!match) continue;
+
+        const start = parseChapterTime(match[1]);
+        const title = match[2];
+        const previous = chapters[chapters.length - 1];
+
+        if(
+            start === null ||
+            title.length > MAX_TITLE_LENGTH ||
+            (duration && start >= duration) ||
+            (previous && start - previous.start < MIN_CHAPTER_SECONDS)
+        ){
+            continue;
+        }
+
+        chapters.push({ start, title });
+    }
+
+    // the last chapter runs to the end of the video
+    if(duration && chapters.length && duration - chapters[chapters.length - 1].start < MIN_CHAPTER_SECONDS){
+        chapters.pop();
+    }
+
+    chapters.splice(MAX_CHAPTERS);
+
+    try {
+        return validateChapters(chapters, duration);
+    } catch (err) {
+        if(err instanceof ApiError) return [];
+        throw err;
+    }
+}
+
+// re-parses the description unless the creator set the chapters by hand
+const syncChaptersFromDescription = (video) => {
+    if(video.chaptersSource === "manual") return video;
+
+    video.chapters = parseChaptersFromDescription(video.description, video.duration);
+    video.chaptersSource = "description";
+
+    return video;
+}
+
+export { validateChapters, parseChaptersFromDescription, syncChaptersFromDescription };
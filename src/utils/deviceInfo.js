@@ -0,0 +1,36 @@
+const browsers = [
+    ["Edge", /Edg\//],
+    ["Opera", /OPR\/|Opera/],
+    ["Chrome", /Chrome\/|CriOS\//],
+    ["Firefox", /Firefox\/|FxiOS\//],
+    ["Safari", /Safari\//]
+];
+
+const operatingSystems = [
+    ["Android", /Android/],
+    ["iOS", /iPhone|iPad|iPod/],
+    ["Windows", /Windows/],
+    ["macOS", /Macintosh|Mac OS X/],
+    ["Linux", /Linux/]
+];
+
+// readable label like "Chrome on Windows" from a user agent string
+const describeDevice = (userAgent = "") => {
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+    const os = operatingSystems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+    if(browser && os) return `${browser} on ${os}`;
+    return browser || os || "Unknown device";
+}
+
+const getDeviceInfo = (req) => {
+    const userAgent = req?.get?.("User-Agent") || "";
+
+    return {
+        device: describeDevice(userAgent),
+        ip: req?.ip,
+        userAgent
+    };
+}
+
+export { describeDevice, getDeviceInfo };
\ No newline at end of file
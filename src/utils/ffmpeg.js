@@ -0,0 +1,106 @@
+import { spawn } from "child_process";
+
+const getFfmpegPath = () => process.env.FFMPEG_PATH || "ffmpeg";
+
+const getFfprobePath = () => process.env.FFPROBE_PATH || "ffprobe";
+
+// runs a command and resolves with its stdout; the end of stderr becomes the error message
+const runCommand = (command, args, {onStdout} = {}) => {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { stdio: ["ignore", "pipe", "pipe"] });
+        let stdout = "";
+        let stderr = "";
+
+        child.stdout.on("data", (data) => {
+            stdout += data;
+            onStdout?.(data.toString());
+        });
+        child.stderr.on("data", (data) => {
+            // only the tail is useful for errors, keep memory flat on long encodes
+            stderr = (stderr + data).slice(-4000);
+        });
+
+        child.on("error", (err) => {
+            if(err.code === "ENOENT"){
+                err.message = `${command} is not installed or not in PATH`;
+            }
+            reject(err);
+        });
+        child.on("close", (code) => {
+            if(code === 0) return resolve(stdout);
+
+            const lastLines = stderr.trim().split("\n").slice(-3).join(" ");
+            reject(new Error(`${command} exited with code ${code}: ${lastLines}`));
+        });
+    });
+}
+
+// onProgress receives the encoded position in seconds, parsed from "-progress pipe:1"
+const runFfmpeg = (args, {onProgress} = {}) => {
+    const progressArgs = onProgress ? ["-progress", "pipe:1", "-nostats"] : [];
+    let buffered = "";
+
+    return runCommand(getFfmpegPath(), ["-hide_banner", "-y", ...progressArgs, ...args], {
+        onStdout: onProgress && ((chunk) => {
+            const lines = (buffered + chunk).split("\n");
+            buffered = lines.pop();
+
+            for(const line of lines){
+                const [key, value] = line.split("=");
+
+                // out_time_ms is in microseconds as well, despite its name
+                if((key === "out_time_us" || key === "out_time_ms") && Number(value) > 0){
+                    onProgress(Number(value) / 1000000);
+                }
+            }
+        })
+    });
+}
+
+// "30000/1001" -> 29.97
+const parseFrameRate = (rate) => {
+    const [numerator, denominator] = (rate || "").split("/").map(Number);
+
+    if(!numerator || !denominator) return 0;
+
+    return Math.round((numerator / denominator) * 100) / 100;
+}
+
+// phones store portrait videos as landscape frames with a rotation flag
+const getRotation = (stream) => {
+    const displayMatrix = stream?.side_data_list?.find((data) => data.rotation !== undefined);
+    return Math.abs(Number(displayMatrix?.rotation ?? stream?.tags?.rotate ?? 0)) % 360;
+}
+
+// container and streams as detected from the file content; width and height are as displayed
+const probeMedia = async (filePath) => {
+    const output = await runCommand(getFfprobePath(), [
+        "-v", "error",
+        "-print_format", "json",
+        "-show_format",
+        "-show_streams",
+        filePath
+    ]);
+
+    const { format = {}, streams = [] } = JSON.parse(output);
+    const videoStream = streams.find((stream) => stream.codec_type === "video" && !stream.disposition?.attached_pic);
+    const audioStream = streams.find((stream) => stream.codec_type === "audio");
+    const isRotated = [90, 270].includes(getRotation(videoStream));
+
+    return {
+        container: format.format_name,
+        duration: Number(format.duration) || Number(videoStream?.duration) || 0,
+        size: Number(format.size) || 0,
+        // bit/s
+        bitrate: Number(format.bit_rate) || 0,
+        width: (isRotated ? videoStream?.height : videoStream?.width) || 0,
+        height: (isRotated ? videoStream?.width : videoStream?.height) || 0,
+        frameRate: parseFrameRate(videoStream?.avg_frame_rate) || parseFrameRate(videoStream?.r_frame_rate),
+        videoCodec: videoStream?.codec_name,
+        audioCodec: audioStream?.codec_name,
+        hasVideo: Boolean(videoStream),
+        hasAudio: Boolean(audioStream)
+    };
+}
+
+export { runCommand, runFfmpeg, probeMedia };
\ No newline at end of file
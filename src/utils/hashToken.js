@@ -0,0 +1,8 @@
+import crypto from "crypto";
+
+// tokens are stored as sha256 digests so a leaked db does not leak usable tokens
+const hashToken = (token) => {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+export { hashToken };
\ No newline at end of file
@@ -0,0 +1,46 @@
+import { ApiError } from "./ApiError.js";
+
+const MAX_SCHEDULE_DAYS = 365;
+
+// sets publishAt / isPremiere from a request body (json or multipart) on a video document or
+// on the fields of a new video. publishAt: null or "" clears the schedule
+const applyPublishSchedule = (video, {publishAt, isPremiere} = {}) => {
+    if(publishAt === null || publishAt === ""){
+        video.publishAt = undefined;
+        video.isPremiere = false;
+    } else if(publishAt !== undefined){
+        const date = new Date(publishAt);
+
+        if(isNaN(date.getTime())){
+            throw new ApiError(400, "publishAt must be a valid date");
+        }
+
+        if(date <= new Date()){
+            throw new ApiError(400, "publishAt must be in the future");
+        }
+
+        if(date.getTime() > Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000){
+            throw new ApiError(400, `Videos can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead`);
+        }
+
+        if(video.visibility && video.visibility !== "private"){
+            throw new ApiError(409, "Video is already published");
+        }
+
+        video.publishAt = date;
+    }
+
+    if(isPremiere !== undefined){
+        const premiere = isPremiere === true || isPremiere === "true";
+
+        if(premiere && !video.publishAt){
+            throw new ApiError(400, "A premiere needs a publishAt time");
+        }
+
+        video.isPremiere = premiere;
+    }
+
+    return video;
+}
+
+export { applyPublishSchedule };
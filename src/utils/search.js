@@ -0,0 +1,59 @@
+import { escapeHtml } from "./html.js";
+
+const SNIPPET_LENGTH = 160;
+
+// user input used inside $regex must match literally
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// words of a $text query, without negated words and operators
+const getSearchTerms = (query) => String(query || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith("-"))
+    .map((word) => word.replace(/[^\p{L}\p{N}]/gu, ""))
+    .filter((word) => word.length > 1);
+
+// text indexes stem words, so "cook" also finds "cooking"; words starting with a term are marked
+const getTermsPattern = (terms) => terms.length
+    ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join("|")})[\\p{L}\\p{N}]*`, "giu")
+    : null;
+
+// html-escaped text with matches wrapped in <mark>; long text is cut to a snippet around the first match.
+// null when nothing matches
+const highlightText = (text, terms, {snippet = false} = {}) => {
+    const pattern = getTermsPattern(terms);
+
+    if(!text || !pattern) return null;
+
+    const firstMatch = pattern.exec(text);
+    pattern.lastIndex = 0;
+
+    if(!firstMatch) return null;
+
+    let start = 0;
+    let end = text.length;
+
+    if(snippet && text.length > SNIPPET_LENGTH){
+        start = Math.max(0, firstMatch.index - SNIPPET_LENGTH / 4);
+        end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+        // do not cut words in half
+        if(start > 0) start = text.indexOf(" ", start) + 1 || start;
+        if(end < text.length) end = text.lastIndexOf(" ", end) > firstMatch.index ? text.lastIndexOf(" ", end) : end;
+    }
+
+    const part = text.slice(start, end).replace(/\s+/g, " ");
+    let highlighted = "";
+    let lastIndex = 0;
+
+    for(const match of part.matchAll(pattern)){
+        highlighted += `${escapeHtml(part.slice(lastIndex, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+        lastIndex = match.index + match[0].length;
+    }
+
+    highlighted += escapeHtml(part.slice(lastIndex));
+
+    return `${start > 0 ? "…" : ""}${highlighted}${end < text.length ? "…" : ""}`;
+}
+
+export { escapeRegex, getSearchTerms, highlightText };
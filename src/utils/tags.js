@@ -0,0 +1,60 @@
+import { VIDEO_CATEGORIES } from "../constants.js";
+import { ApiError } from "./ApiError.js";
+
+const MAX_TAGS = 15;
+
+const MAX_TAG_LENGTH = 30;
+
+// "#Web Dev " -> "web dev"; letters, numbers, spaces and hyphens only
+const normalizeTag = (tag) => String(tag)
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/^#+/, "")
+    .replace(/[^\p{L}\p{N}\s-]/gu, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// tags come as a list (json) or comma separated (multipart); resolves with them deduplicated in order
+const normalizeTags = (tags) => {
+    const list = Array.isArray(tags) ? tags : String(tags ?? "").split(",");
+    const normalized = [...new Set(list.map(normalizeTag).filter(Boolean))];
+
+    if(normalized.length > MAX_TAGS){
+        throw new ApiError(400, `A video can have at most ${MAX_TAGS} tags`);
+    }
+
+    if(normalized.some((tag) => tag.length > MAX_TAG_LENGTH)){
+        throw new ApiError(400, `Tags can be at most ${MAX_TAG_LENGTH} characters`);
+    }
+
+    return normalized;
+}
+
+// "" or null removes the category
+const normalizeCategory = (category) => {
+    if(category === null || category === "") return undefined;
+
+    const slug = String(category).trim().toLowerCase();
+
+    if(!VIDEO_CATEGORIES.some((item) => item.slug === slug)){
+        throw new ApiError(400, `Unknown category ${category}`);
+    }
+
+    return slug;
+}
+
+// sets tags / category from a request body (json or multipart) on a video document or
+// on the fields of a new video
+const applyTagsAndCategory = (video, {tags, category} = {}) => {
+    if(tags !== undefined){
+        video.tags = normalizeTags(tags);
+    }
+
+    if(category !== undefined){
+        video.category = normalizeCategory(category);
+    }
+
+    return video;
+}
+
+export { normalizeTag, normalizeTags, applyTagsAndCategory };
@@ -0,0 +1,110 @@
+import crypto from "crypto";
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30 second steps),
+// compatible with Google Authenticator, Authy, 1Password, ...
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for(const byte of buffer){
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while(bits >= 5){
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if(bits > 0){
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+const base32Decode = (encoded) => {
+    const cleaned = encoded.replace(/=+$/, "").replace(/\s/g, "").toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for(const char of cleaned){
+        const index = BASE32_ALPHABET.indexOf(char);
+        if(index === -1){
+            throw new Error("Invalid base32 character");
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if(bits >= 8){
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+const generateTotpSecret = () => {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+const getTimeStep = (timestamp = Date.now()) => {
+    return Math.floor(timestamp / 1000 / STEP_SECONDS);
+}
+
+const generateTotp = (secret, timeStep = getTimeStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(timeStep));
+
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+
+    // dynamic truncation
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+    return binary.toString().padStart(DIGITS, "0");
+}
+
+// returns the matched time step (to block replays) or null; `window` tolerates clock drift
+const verifyTotp = (secret, token, window = 1) => {
+    const code = String(token || "").replace(/\s/g, "");
+
+    if(!/^\d{6}$/.test(code)){
+        return null;
+    }
+
+    const currentStep = getTimeStep();
+
+    for(let drift = -window; drift <= window; drift++){
+        const expected = generateTotp(secret, currentStep + drift);
+
+        if(crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))){
+            return currentStep + drift;
+        }
+    }
+
+    return null;
+}
+
+const buildOtpAuthUri = ({secret, accountName, issuer}) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+export { generateTotpSecret, generateTotp, verifyTotp, buildOtpAuthUri };
\ No newline at end of file
@@ -0,0 +1,21 @@
+import { RESERVED_USERNAMES } from "../constants.js";
+
+// 3-30 characters of a-z, 0-9, "_" and ".", not starting or ending with "."
+const USERNAME_PATTERN = /^[a-z0-9_](?:[a-z0-9_.]{1,28})[a-z0-9_]$/;
+
+const normalizeUsername = (username) => username?.trim().toLowerCase();
+
+// returns why a username cannot be used, or null when it is fine
+const getUsernameError = (username) => {
+    if(!USERNAME_PATTERN.test(username || "")){
+        return "Username must be 3-30 characters of letters, numbers, underscores or dots, and cannot start or end with a dot";
+    }
+
+    if(RESERVED_USERNAMES.includes(username)){
+        return "This username is reserved";
+    }
+
+    return null;
+}
+
+export { normalizeUsername, getUsernameError };
\ No newline at end of file
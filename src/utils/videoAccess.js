@@ -0,0 +1,12 @@
+// unlisted videos are open to anyone with the id, private ones to their owner and the users they are shared with
+const canViewVideo = (video, user) => {
+    const ownerId = video.owner?._id ?? video.owner;
+    const userId = user._id.toString();
+
+    return video.visibility === "public"
+        || video.visibility === "unlisted"
+        || ownerId?.toString() === userId
+        || video.sharedWith?.some((sharedUserId) => sharedUserId.toString() === userId);
+}
+
+export { canViewVideo };